@@ -0,0 +1,102 @@
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+
+// Serves the app with server-side rendering.
+//   node server.js               dev: Vite middleware, modules loaded from src
+//   node server.js --production  serves the output of `npm run build:ssr`
+const isProduction = process.argv.includes('--production');
+const port = Number(process.env.PORT) || 5173;
+const clientDir = path.resolve('dist/client');
+
+const MIME_TYPES = {
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.html': 'text/html',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.json': 'application/json',
+};
+
+const createDevRenderer = async () => {
+  const { createServer } = await import('vite');
+  const vite = await createServer({
+    server: { middlewareMode: true },
+    appType: 'custom',
+  });
+
+  return {
+    middleware: vite.middlewares,
+    getTemplate: async (url) =>
+      vite.transformIndexHtml(url, await fs.readFile('index.html', 'utf-8')),
+    loadEntry: () => vite.ssrLoadModule('/src/entry-server.jsx'),
+    onError: (error) => vite.ssrFixStacktrace(error),
+  };
+};
+
+const createProductionRenderer = async () => {
+  const template = await fs.readFile(path.join(clientDir, 'index.html'), 'utf-8');
+  const entry = await import('./dist/server/entry-server.js');
+
+  // Files from the client build; everything else is rendered
+  const serveStatic = async (req, res, next) => {
+    const filePath = path.join(clientDir, decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+    if (!filePath.startsWith(clientDir) || filePath === path.join(clientDir, 'index.html')) {
+      next();
+      return;
+    }
+
+    try {
+      const body = await fs.readFile(filePath);
+      res.writeHead(200, {
+        'content-type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      });
+      res.end(body);
+    } catch {
+      next();
+    }
+  };
+
+  return {
+    middleware: serveStatic,
+    getTemplate: async () => template,
+    loadEntry: async () => entry,
+    onError: () => {},
+  };
+};
+
+const renderer = isProduction
+  ? await createProductionRenderer()
+  : await createDevRenderer();
+
+const renderPage = async (req, res) => {
+  try {
+    const template = await renderer.getTemplate(req.url);
+    const { render, serializeState } = await renderer.loadEntry();
+    const { html, state } = await render();
+
+    const page = template
+      .replace('<!--app-html-->', html)
+      .replace(
+        '<!--app-state-->',
+        `<script>window.__PRELOADED_STATE__ = ${serializeState(state)}</script>`
+      );
+
+    res.writeHead(200, { 'content-type': 'text/html' });
+    res.end(page);
+  } catch (error) {
+    renderer.onError(error);
+    console.error(error);
+    res.writeHead(500, { 'content-type': 'text/plain' });
+    res.end(isProduction ? 'Internal Server Error' : error.stack);
+  }
+};
+
+http
+  .createServer((req, res) => {
+    renderer.middleware(req, res, () => renderPage(req, res));
+  })
+  .listen(port, () => {
+    console.log(`SSR server running at http://localhost:${port}`);
+  });
@@ -1,24 +1,56 @@
-import React, { useEffect, useState } from 'react';
-import { useApp, useNotifications, useModal } from './hooks/useRedux';
+import React, { lazy, Suspense, useEffect, useState } from 'react';
+import { useStore } from 'react-redux';
+import { useApp, useNotifications, useModal, useSessionRecorder, usePostsSummary, usePerfOverlay, useAnalyticsConsent } from './hooks/useRedux';
+import { undoTodos, selectTodosUndoStep } from './features';
+import {
+  TODO_PRIORITIES,
+  DEFAULT_PRIORITY,
+  TODO_VISIBILITY_FILTERS,
+  TODO_SORT_KEYS,
+  toDateKey,
+} from './features/todoModel';
+import TodoList from './components/TodoList';
+import TodoBulkToolbar from './components/TodoBulkToolbar';
+import RecurrenceFields from './components/RecurrenceFields';
+import TodoImportExport from './components/TodoImportExport';
+import CountersSection from './components/CountersSection';
 // Selectors are available but we will derive simple values from hooks to avoid malformed state usage here
-import RTKQueryExample from './components/RTKQueryExample';
+
+// Code-split sections; posts and RTK Query endpoints are injected on load
+const PostsSection = lazy(() => import('./components/PostsSection'));
+const RTKQueryExample = lazy(() => import('./components/RTKQueryExample'));
+const PerfOverlay = lazy(() => import('./components/PerfOverlay'));
+
+const EMPTY_TODO = {
+  title: '',
+  description: '',
+  dueDate: '',
+  priority: DEFAULT_PRIORITY,
+  tags: '',
+  recurrence: null,
+};
 
 export default function App() {
-  const { counter, todos, user, ui, posts } = useApp();
+  const { counter, todos, user, ui } = useApp();
+  const store = useStore();
+  const postsSummary = usePostsSummary();
   const notifications = useNotifications();
   const loginModal = useModal('loginModal');
   const profileModal = useModal('profileModal');
+  const sessionRecorder = useSessionRecorder();
+  const perfOverlay = usePerfOverlay();
+  const analyticsConsent = useAnalyticsConsent();
   
   // Local state
-  const [newTodo, setNewTodo] = useState('');
-  const [newPost, setNewPost] = useState({ title: '', body: '' });
-  const [searchTerm, setSearchTerm] = useState('');
+  const [newTodo, setNewTodo] = useState(EMPTY_TODO);
+  const [showTransfer, setShowTransfer] = useState(false);
 
   // Derived values from hooks (avoid calling selectors with incomplete state objects)
   const count = counter.value;
   const todosCount = todos.todos.length;
   const completedCount = todos.todos.filter(t => t.completed).length;
   const completionPercentage = todosCount > 0 ? Math.round((completedCount / todosCount) * 100) : 0;
+  const today = toDateKey();
   const isAuthenticated = user.isAuthenticated;
   const displayName = user.user?.name || user.user?.username || 'Guest';
   const theme = ui.theme;
@@ -26,15 +58,17 @@ export default function App() {
   const stats = {
     totalTodos: todosCount,
     completionRate: completionPercentage,
-    totalPosts: posts.posts.length,
-    draftCount: posts.drafts.length,
+    totalPosts: postsSummary.totalPosts,
+    draftCount: postsSummary.draftCount,
   };
 
-  // Initialize app
+  // Initialize app (persisted state is rehydrated when the store is created,
+  // so only seed todos from the API when nothing was restored). Posts are
+  // fetched by the lazily loaded posts section.
   useEffect(() => {
-    ui.initializeUI();
-    todos.fetchTodos();
-    posts.fetchPosts();
+    if (todos.todos.length === 0) {
+      todos.fetchTodos();
+    }
   }, []);
 
   // Auto-dismiss notifications
@@ -51,13 +85,39 @@ export default function App() {
   // Event handlers
   const handleAddTodo = (e) => {
     e.preventDefault();
-    if (newTodo.trim()) {
-      todos.addTodo(newTodo.trim());
-      setNewTodo('');
+    if (newTodo.title.trim()) {
+      todos.addTodo(newTodo);
+      setNewTodo(EMPTY_TODO);
       notifications.showSuccess('Todo added successfully!');
     }
   };
 
+  // The notification's Undo reverts the step `change` recorded and nothing
+  // else, so it does nothing once later edits are made on top of it
+  const runUndoable = (change, message) => {
+    const stepBefore = selectTodosUndoStep(store.getState());
+    change();
+    const step = selectTodosUndoStep(store.getState());
+    if (step !== null && step !== stepBefore) {
+      notifications.showUndo(message, undoTodos(step));
+    }
+  };
+
+  const handleDeleteTodo = (id) => runUndoable(() => todos.deleteTodo(id), 'Todo deleted');
+
+  // Bulk actions: each is one undo step with one summary notification
+  const pluralizeTodos = (count) => `${count} ${count === 1 ? 'todo' : 'todos'}`;
+  const handleCompleteSelected = () =>
+    runUndoable(todos.completeSelected, `Completed ${pluralizeTodos(todos.selectionSummary.active)}`);
+  const handleUncompleteSelected = () =>
+    runUndoable(todos.uncompleteSelected, `Reopened ${pluralizeTodos(todos.selectionSummary.completed)}`);
+  const handleDeleteSelected = () =>
+    runUndoable(todos.deleteSelected, `Deleted ${pluralizeTodos(todos.selectionSummary.count)}`);
+  const handleClearCompleted = () =>
+    runUndoable(todos.clearCompleted, `Cleared ${pluralizeTodos(completedCount)}`);
+  const handleImportTodos = (todosToAdd) =>
+    runUndoable(() => todos.importTodos(todosToAdd), `Imported ${pluralizeTodos(todosToAdd.length)}`);
+
   const handleLogin = (e) => {
     e.preventDefault();
     const formData = new FormData(e.target);
@@ -82,21 +142,6 @@ export default function App() {
     notifications.showInfo('Logged out successfully');
   };
 
-  const handleCreatePost = (e) => {
-    e.preventDefault();
-    if (newPost.title.trim() && newPost.body.trim()) {
-      posts.createPost(newPost);
-      setNewPost({ title: '', body: '' });
-      notifications.showSuccess('Post created successfully!');
-    }
-  };
-
-  const handleSearch = (e) => {
-    e.preventDefault();
-    posts.setSearchFilter(searchTerm);
-    notifications.showInfo(`Searching for: ${searchTerm}`);
-  };
-
   return (
     <div className={`app ${theme === 'dark' ? 'dark-theme' : ''}`}>
       {/* Header */}
@@ -110,6 +155,24 @@ export default function App() {
           >
             {theme === 'light' ? '🌙' : '☀️'}
           </button>
+          {sessionRecorder.isAvailable && (
+            <button
+              className="btn-secondary"
+              onClick={sessionRecorder.exportSession}
+              title="Download the recorded actions for a bug report"
+            >
+              Export Session
+            </button>
+          )}
+          {perfOverlay.isAvailable && (
+            <button
+              className="btn-secondary"
+              onClick={perfOverlay.toggle}
+              title="Show reducer, dispatch and selector timings"
+            >
+              ⏱️ Perf
+            </button>
+          )}
           {isAuthenticated ? (
             <div className="user-menu">
               <span>Welcome, {displayName}!</span>
@@ -128,12 +191,28 @@ export default function App() {
         </div>
       </header>
 
+      {/* Performance overlay */}
+      {perfOverlay.isOpen && (
+        <Suspense fallback={null}>
+          <PerfOverlay onClose={perfOverlay.close} />
+        </Suspense>
+      )}
+
       {/* Notifications */}
       {activeNotifications.length > 0 && (
         <div className="notifications-container">
           {activeNotifications.map(notification => (
             <div key={notification.id} className={`notification notification-${notification.type}`}>
               <span>{notification.message}</span>
+              {notification.actionButton && (
+                <button
+                  className="btn-secondary"
+                  onClick={() => notifications.runNotificationAction(notification)}
+                  style={{ padding: '4px 12px', fontSize: '12px' }}
+                >
+                  {notification.actionButton.label}
+                </button>
+              )}
               <button 
                 onClick={() => notifications.removeNotification(notification.id)}
                 className="notification-close"
@@ -147,6 +226,33 @@ export default function App() {
 
       {/* Main Content */}
       <main className="app-main">
+        {/* Analytics consent, asked once */}
+        {analyticsConsent.isAvailable && !analyticsConsent.hasAnswered && (
+          <div className="consent-banner">
+            <span>Help us improve by sharing anonymous usage analytics?</span>
+            <div className="button-group">
+              <button className="btn-primary" onClick={analyticsConsent.allow}>Allow</button>
+              <button className="btn-secondary" onClick={analyticsConsent.decline}>No thanks</button>
+            </div>
+          </div>
+        )}
+
+        {/* Errors reported by the error middleware */}
+        {Object.entries(ui.errors)
+          .filter(([, message]) => message)
+          .map(([type, message]) => (
+            <div key={type} className="error-message">
+              <span>{message}</span>
+              <button
+                className="btn-danger"
+                onClick={() => ui.clearError(type)}
+                style={{ padding: '8px 16px', fontSize: '12px' }}
+              >
+                Dismiss
+              </button>
+            </div>
+          ))}
+
         {/* Dashboard Stats */}
         <section className="section stats-section">
           <h2>Dashboard</h2>
@@ -171,22 +277,7 @@ export default function App() {
           </div>
         </section>
 
-        {/* Counter Section */}
-        <section className="section">
-          <h2>Counter</h2>
-          <div className="counter-display">{count}</div>
-          <div className="button-group">
-            <button className="btn-primary" onClick={counter.increment}>
-              +1
-            </button>
-            <button className="btn-secondary" onClick={counter.decrement}>
-              -1
-            </button>
-            <button className="btn-danger" onClick={counter.reset}>
-              Reset
-            </button>
-          </div>
-        </section>
+        <CountersSection />
 
         {/* Todos Section */}
         <section className="section">
@@ -198,21 +289,113 @@ export default function App() {
                 style={{ width: `${completionPercentage}%` }}
               ></div>
             </div>
-            <span>{completedCount}/{todosCount} completed</span>
+            <span>
+              {completedCount}/{todosCount} completed
+              {todos.subtaskCounts.total > 0 &&
+                ` · ${todos.subtaskCounts.completed}/${todos.subtaskCounts.total} subtasks`}
+            </span>
           </div>
+          {(todos.overdueTodos.length > 0 || todos.todosDueToday.length > 0 ||
+            todos.syncCounts.pending > 0 || todos.syncCounts.failed > 0) && (
+            <div className="todo-badges">
+              {todos.overdueTodos.length > 0 && (
+                <span className="badge badge-overdue">{todos.overdueTodos.length} overdue</span>
+              )}
+              {todos.todosDueToday.length > 0 && (
+                <span className="badge badge-due-today">{todos.todosDueToday.length} due today</span>
+              )}
+              {todos.syncCounts.pending > 0 && (
+                <span className="badge badge-sync-pending">{todos.syncCounts.pending} saving</span>
+              )}
+              {todos.syncCounts.failed > 0 && (
+                <span className="badge badge-sync-failed">{todos.syncCounts.failed} not saved</span>
+              )}
+            </div>
+          )}
+
+          {todos.upcomingOccurrences.length > 0 && (
+            <details className="todo-upcoming">
+              <summary>Upcoming recurring ({todos.upcomingOccurrences.length} in the next 2 weeks)</summary>
+              <ul>
+                {todos.upcomingOccurrences.slice(0, 10).map(occurrence => (
+                  <li
+                    key={`${occurrence.todoId}-${occurrence.dueDate}`}
+                    className={occurrence.projected ? 'todo-upcoming-projected' : ''}
+                  >
+                    <span>{occurrence.dueDate}</span> {occurrence.title}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
           
           <form className="todo-form" onSubmit={handleAddTodo}>
             <input
               type="text"
-              value={newTodo}
-              onChange={(e) => setNewTodo(e.target.value)}
+              value={newTodo.title}
+              onChange={(e) => setNewTodo({ ...newTodo, title: e.target.value })}
               placeholder="Add a new todo..."
             />
+            <input
+              type="date"
+              value={newTodo.dueDate}
+              onChange={(e) => setNewTodo({ ...newTodo, dueDate: e.target.value })}
+              title="Due date"
+            />
+            <select
+              value={newTodo.priority}
+              onChange={(e) => setNewTodo({ ...newTodo, priority: e.target.value })}
+              title="Priority"
+            >
+              {TODO_PRIORITIES.map(priority => (
+                <option key={priority} value={priority}>{priority}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={newTodo.tags}
+              onChange={(e) => setNewTodo({ ...newTodo, tags: e.target.value })}
+              placeholder="Tags, comma separated"
+            />
+            <input
+              type="text"
+              value={newTodo.description}
+              onChange={(e) => setNewTodo({ ...newTodo, description: e.target.value })}
+              placeholder="Description (optional)"
+            />
+            <RecurrenceFields
+              value={newTodo.recurrence}
+              onChange={(recurrence) => setNewTodo({ ...newTodo, recurrence })}
+            />
             <button type="submit" className="btn-success">
               Add Todo
             </button>
           </form>
 
+          <div className="button-group">
+            <button className="btn-secondary" onClick={todos.undo} disabled={!todos.canUndo}>
+              Undo
+            </button>
+            <button className="btn-secondary" onClick={todos.redo} disabled={!todos.canRedo}>
+              Redo
+            </button>
+            <button
+              className="btn-secondary"
+              onClick={() => setShowTransfer(!showTransfer)}
+              aria-expanded={showTransfer}
+            >
+              Import / Export
+            </button>
+          </div>
+
+          {showTransfer && (
+            <TodoImportExport
+              onExport={todos.exportTodos}
+              onPreview={todos.previewImport}
+              onImport={handleImportTodos}
+            />
+          )}
+
           {todos.error && (
             <div className="error-message">
               <span>Error: {todos.error}</span>
@@ -228,26 +411,74 @@ export default function App() {
 
           {todos.status === 'loading' && <div className="loading">Loading todos...</div>}
           
-          {todos.todos.length > 0 && (
-            <ul className="todo-list">
-              {todos.todos.map(todo => (
-                <li key={todo.id} className="todo-item">
-                  <span 
-                    className={`todo-text ${todo.completed ? 'completed' : ''}`}
-                    onClick={() => todos.toggleTodo(todo.id)}
-                  >
-                    {todo.title}
-                  </span>
-                  <button 
-                    className="btn-danger"
-                    onClick={() => todos.deleteTodo(todo.id)}
-                    style={{ padding: '8px 16px', fontSize: '12px' }}
-                  >
-                    Delete
-                  </button>
-                </li>
+          {/* Filters */}
+          <div className="todo-filters">
+            <div className="button-group">
+              {TODO_VISIBILITY_FILTERS.map(visibility => (
+                <button
+                  key={visibility}
+                  className={todos.filters.visibility === visibility ? 'btn-primary' : 'btn-secondary'}
+                  onClick={() => todos.setVisibilityFilter(visibility)}
+                >
+                  {visibility} ({todos.filterCounts[visibility]})
+                </button>
               ))}
-            </ul>
+            </div>
+            <input
+              type="search"
+              value={todos.filters.search}
+              onChange={(e) => todos.setSearchFilter(e.target.value)}
+              placeholder="Search todos..."
+            />
+            <select
+              value={todos.filters.sortBy}
+              onChange={(e) => todos.setSortBy(e.target.value)}
+              title="Sort by"
+            >
+              {TODO_SORT_KEYS.map(sortBy => (
+                <option key={sortBy} value={sortBy}>Sort: {sortBy}</option>
+              ))}
+            </select>
+          </div>
+
+          {todos.todos.length > 0 && (
+            <TodoBulkToolbar
+              summary={todos.selectionSummary}
+              allVisibleSelected={todos.allVisibleSelected}
+              completedCount={completedCount}
+              onSelectAllVisible={todos.selectAllVisible}
+              onClearSelection={todos.clearSelection}
+              onCompleteSelected={handleCompleteSelected}
+              onUncompleteSelected={handleUncompleteSelected}
+              onDeleteSelected={handleDeleteSelected}
+              onClearCompleted={handleClearCompleted}
+            />
+          )}
+
+          {todos.visibleTodos.length > 0 && (
+            <TodoList
+              todos={todos.visibleTodos}
+              today={today}
+              canReorder={todos.filters.sortBy === 'manual'}
+              selectedIds={todos.selectedIds}
+              onSelect={todos.toggleSelected}
+              onMove={todos.moveTodo}
+              onToggle={todos.toggleTodo}
+              onUpdate={todos.updateTodo}
+              onDelete={handleDeleteTodo}
+              onRetrySync={todos.retrySync}
+              onAddSubtask={todos.addSubtask}
+              onToggleSubtask={todos.toggleSubtask}
+              onRemoveSubtask={todos.removeSubtask}
+            />
+          )}
+
+          {todos.hasMore && todos.todos.length > 0 && (
+            <div className="todo-load-more">
+              <button className="btn-secondary" onClick={todos.loadMore} disabled={todos.status === 'loading'}>
+                Load more
+              </button>
+            </div>
           )}
           
           {todos.status === 'succeeded' && todos.todos.length === 0 && (
@@ -255,75 +486,29 @@ export default function App() {
               No todos yet. Add one above!
             </div>
           )}
+
+          {todos.todos.length > 0 && todos.visibleTodos.length === 0 && (
+            <div className="empty-state">
+              No todos match the current filters.{' '}
+              <button className="btn-secondary" onClick={todos.clearFilters}>Clear filters</button>
+            </div>
+          )}
         </section>
 
-        {/* Posts Section */}
+        {/* Posts Section (lazy: injects the posts slice when loaded) */}
         {isAuthenticated && (
-          <section className="section">
-            <h2>Posts</h2>
-            
-            {/* Search */}
-            <form className="search-form" onSubmit={handleSearch}>
-              <input
-                type="text"
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                placeholder="Search posts..."
-              />
-              <button type="submit" className="btn-primary">Search</button>
-            </form>
-
-            {/* Create Post */}
-            <form className="post-form" onSubmit={handleCreatePost}>
-              <input
-                type="text"
-                value={newPost.title}
-                onChange={(e) => setNewPost({ ...newPost, title: e.target.value })}
-                placeholder="Post title..."
-              />
-              <textarea
-                value={newPost.body}
-                onChange={(e) => setNewPost({ ...newPost, body: e.target.value })}
-                placeholder="Post content..."
-                rows="3"
-              />
-              <button type="submit" className="btn-success">Create Post</button>
-            </form>
-
-            {posts.status === 'loading' && <div className="loading">Loading posts...</div>}
-            
-            {posts.posts.length > 0 && (
-              <div className="posts-grid">
-                {posts.posts.slice(0, 5).map(post => (
-                  <div key={post.id} className="post-card">
-                    <h3>{post.title}</h3>
-                    <p>{post.body.substring(0, 100)}...</p>
-                    <div className="post-actions">
-                      <button 
-                        className="btn-secondary"
-                        onClick={() => posts.toggleFavorite(post.id)}
-                      >
-                        {posts.favorites.includes(post.id) ? '❤️' : '🤍'} Favorite
-                      </button>
-                      <button 
-                        className="btn-danger"
-                        onClick={() => posts.deletePost(post.id)}
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  </div>
-                ))}
-              </div>
-            )}
-          </section>
+          <Suspense fallback={<section className="section"><div className="loading">Loading posts...</div></section>}>
+            <PostsSection />
+          </Suspense>
         )}
 
         {/* RTK Query Example Section */}
         <section className="section">
           <h2>RTK Query Example</h2>
           <p>This section demonstrates RTK Query for API management with automatic caching, background refetching, and optimistic updates.</p>
-          <RTKQueryExample />
+          <Suspense fallback={<div className="loading">Loading example...</div>}>
+            <RTKQueryExample />
+          </Suspense>
         </section>
       </main>
 
@@ -372,6 +557,16 @@ export default function App() {
                 <p><strong>Username:</strong> {user.user.username}</p>
               </div>
             )}
+            {analyticsConsent.isAvailable && (
+              <label className="consent-toggle">
+                <input
+                  type="checkbox"
+                  checked={analyticsConsent.consent}
+                  onChange={(e) => analyticsConsent.setConsent(e.target.checked)}
+                />
+                Share anonymous usage analytics
+              </label>
+            )}
             <div className="modal-actions">
               <button className="btn-primary" onClick={profileModal.close}>
                 Close
@@ -0,0 +1,195 @@
+import { isPlainObject } from './middlewareUtils';
+
+// ============================================================================
+// SINKS
+// ============================================================================
+// A sink is `{ name, send(events) }`; send may return a promise
+
+export const createConsoleSink = (logger = console) => ({
+  name: 'console',
+  send: (events) => {
+    logger.groupCollapsed(`analytics: ${events.length} event(s)`);
+    try {
+      events.forEach(event => logger.log(event.name, event.properties, event.context));
+    } finally {
+      logger.groupEnd();
+    }
+  },
+});
+
+// Keeps the newest `limit` events in storage until something uploads them
+export const createStorageSink = (storage, { key = 'rtk-poc:analytics', limit = 500 } = {}) => {
+  const read = () => {
+    try {
+      return JSON.parse(storage.getItem(key)) || [];
+    } catch {
+      return [];
+    }
+  };
+
+  return {
+    name: 'storage',
+    send: (events) => {
+      storage.setItem(key, JSON.stringify([...read(), ...events].slice(-limit)));
+    },
+    read,
+    clear: () => storage.removeItem(key),
+  };
+};
+
+export const createHttpSink = ({ url, fetchFn = (...args) => fetch(...args), headers = {} }) => ({
+  name: 'http',
+  send: async (events) => {
+    const response = await fetchFn(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify({ events }),
+      // Lets the last batch go out while the page unloads
+      keepalive: true,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Analytics request failed with status ${response.status}`);
+    }
+  },
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Removes `keys` at any depth
+export const stripPII = (value, keys) => {
+  if (Array.isArray(value)) {
+    return value.map(item => stripPII(item, keys));
+  }
+  if (!isPlainObject(value)) return value;
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !keys.includes(key))
+      .map(([key, item]) => [key, stripPII(item, keys)])
+  );
+};
+
+const resolveSink = (sink, config) => {
+  if (typeof sink !== 'string') return sink;
+
+  switch (sink) {
+    case 'console':
+      return createConsoleSink(config.logger);
+    case 'storage':
+      return createStorageSink(config.storage);
+    case 'http':
+      return createHttpSink({ url: config.endpoint, fetchFn: config.fetchFn });
+    default:
+      throw new Error(`Unknown analytics sink: ${sink}`);
+  }
+};
+
+// ============================================================================
+// ANALYTICS MIDDLEWARE
+// ============================================================================
+export const defaultAnalyticsOptions = {
+  // ui.preferences flag; nothing is tracked unless it is true
+  consentKey: 'analyticsConsent',
+  // Action type -> event name, or { name, properties(action, state) }.
+  // `properties` sees the state after the action and may return null to
+  // skip the event, or an array for one event per entry.
+  events: {},
+  // Sink objects, or 'console', 'storage' and 'http' (posts to `endpoint`)
+  sinks: ['console'],
+  storage: null,
+  endpoint: null,
+  fetchFn: undefined,
+  batchSize: 20,
+  flushInterval: 10000,
+  // Dropped from event properties and the user context at any depth
+  piiKeys: ['email', 'username', 'name', 'password', 'token', 'refreshToken'],
+  now: () => Date.now(),
+  logger: console,
+};
+
+/**
+ * Turns mapped actions into analytics events and sends them to the sinks in
+ * batches. Returns `{ middleware, flush }`; call flush on page hide so the
+ * last partial batch isn't lost.
+ */
+export const createAnalytics = (options = {}) => {
+  const config = { ...defaultAnalyticsOptions, ...options };
+  const sinks = config.sinks.map(sink => resolveSink(sink, config));
+  let queue = [];
+  let timer = null;
+
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (queue.length === 0) return;
+
+    const batch = queue;
+    queue = [];
+    sinks.forEach(sink => {
+      // A failing sink drops its batch rather than block the others
+      Promise.resolve()
+        .then(() => sink.send(batch))
+        .catch(error => config.logger.error(`Analytics sink "${sink.name}" failed:`, error));
+    });
+  };
+
+  const hasConsent = (state) => state?.ui?.preferences?.[config.consentKey] === true;
+
+  const createEvents = (definition, action, state) => {
+    const { name, properties } = typeof definition === 'string'
+      ? { name: definition }
+      : definition;
+    const eventProperties = properties ? properties(action, state) : {};
+    if (eventProperties === null) return [];
+
+    const context = {
+      user: stripPII(state.user?.userData ?? null, config.piiKeys),
+    };
+    const timestamp = config.now();
+    return [].concat(eventProperties).map(entry => ({
+      name,
+      properties: stripPII(entry, config.piiKeys),
+      context,
+      timestamp,
+    }));
+  };
+
+  const middleware = (store) => (next) => (action) => {
+    const result = next(action);
+
+    const definition = config.events[action?.type];
+    // Actions replayed from other tabs were already counted there
+    if (!definition || action.meta?.remote) return result;
+
+    const state = store.getState();
+    if (!hasConsent(state)) {
+      // Consent withdrawn: don't send what was queued before
+      queue = [];
+      return result;
+    }
+
+    try {
+      queue.push(...createEvents(definition, action, state));
+    } catch (error) {
+      config.logger.error(`Failed to build analytics event for ${action.type}:`, error);
+    }
+
+    if (queue.length >= config.batchSize) {
+      flush();
+    } else if (queue.length > 0 && !timer) {
+      timer = setTimeout(flush, config.flushInterval);
+    }
+
+    return result;
+  };
+
+  return {
+    middleware,
+    flush,
+  };
+};
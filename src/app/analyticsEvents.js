@@ -0,0 +1,79 @@
+import { toggleTodo, addTodo, updateTodo, deleteTodo, completeSelected } from '../features/todoSlice';
+import { loginUser, logoutUser } from '../features/userSlice';
+import { setTheme, toggleTheme } from '../features/uiSlice';
+
+// Posts are code-split, so their actions are referenced by type
+const POST_CREATED = 'posts/createPost/fulfilled';
+const POST_DELETED = 'posts/deletePost/fulfilled';
+const POST_FAVORITED = 'posts/toggleFavorite';
+
+const findTodo = (state, id) => state.todos.entities[id];
+
+// Action type -> analytics event; see createAnalytics in ./analytics
+export const analyticsEvents = {
+  [addTodo.type]: {
+    name: 'todo_created',
+    properties: (action) => ({
+      priority: action.payload.priority,
+      hasDueDate: Boolean(action.payload.dueDate),
+      tagCount: action.payload.tags.length,
+    }),
+  },
+  [updateTodo.type]: {
+    name: 'todo_updated',
+    properties: (action) => ({
+      todoId: action.payload.id,
+      fields: Object.keys(action.payload.changes),
+    }),
+  },
+  [toggleTodo.type]: {
+    name: 'todo_completed',
+    // Only count completions, not un-checking
+    properties: (action, state) =>
+      findTodo(state, action.payload.id)?.completed ? { todoId: action.payload.id } : null,
+  },
+  [completeSelected.type]: {
+    name: 'todo_completed',
+    // One event per todo this completed; ones that were already done keep
+    // their earlier completedAt
+    properties: (action, state) => action.payload.ids
+      .filter(id => findTodo(state, id)?.completedAt === action.payload.timestamp)
+      .map(todoId => ({ todoId })),
+  },
+  [deleteTodo.type]: {
+    name: 'todo_deleted',
+    properties: (action) => ({ todoId: action.payload }),
+  },
+  [POST_CREATED]: {
+    name: 'post_created',
+    properties: (action) => ({
+      postId: action.payload.id,
+      titleLength: action.payload.title.length,
+      bodyLength: action.payload.body.length,
+    }),
+  },
+  [POST_DELETED]: {
+    name: 'post_deleted',
+    properties: (action) => ({ postId: action.payload }),
+  },
+  [POST_FAVORITED]: {
+    name: 'post_favorite_toggled',
+    properties: (action, state) => ({
+      postId: action.payload,
+      favorited: state.posts.favorites.includes(action.payload),
+    }),
+  },
+  [loginUser.fulfilled.type]: {
+    name: 'login',
+    properties: (action) => ({ role: action.payload.user.role }),
+  },
+  [logoutUser.fulfilled.type]: 'logout',
+  [setTheme.type]: {
+    name: 'theme_switched',
+    properties: (action) => ({ theme: action.payload }),
+  },
+  [toggleTheme.type]: {
+    name: 'theme_switched',
+    properties: (action, state) => ({ theme: state.ui.theme }),
+  },
+};
@@ -0,0 +1,136 @@
+import { isRejected } from '@reduxjs/toolkit';
+import { setError, addNotification } from '../features/uiSlice';
+import { createActionMatcher } from './middlewareUtils';
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+export const ERROR_CATEGORIES = {
+  NETWORK: 'network',
+  AUTH: 'auth',
+  VALIDATION: 'validation',
+  UNKNOWN: 'unknown',
+};
+
+// Where each category lands in ui.errors
+const ERROR_STATE_KEYS = {
+  network: 'network',
+  auth: 'auth',
+  validation: 'validation',
+  unknown: 'global',
+};
+
+const NOTIFICATION_TITLES = {
+  network: 'Network Error',
+  auth: 'Authentication Error',
+  validation: 'Validation Error',
+  unknown: 'Error',
+};
+
+// "failed to fetch" is the browser's fetch error, "fetch failed" Node's
+const NETWORK_PATTERN = /network|failed to fetch|fetch failed|timeout|offline/i;
+const AUTH_PATTERN = /credential|token|unauthori[sz]ed|forbidden|not authenticated/i;
+const VALIDATION_PATTERN = /invalid|required|validation|must be/i;
+
+const classifyStatus = (status) => {
+  if (status === 'FETCH_ERROR' || status === 'TIMEOUT_ERROR') return ERROR_CATEGORIES.NETWORK;
+  if (status === 401 || status === 403) return ERROR_CATEGORIES.AUTH;
+  if (status === 400 || status === 422) return ERROR_CATEGORIES.VALIDATION;
+  return null;
+};
+
+const classifyMessage = (message) => {
+  // Auth first so "Invalid credentials" isn't treated as a validation error
+  if (AUTH_PATTERN.test(message)) return ERROR_CATEGORIES.AUTH;
+  if (NETWORK_PATTERN.test(message)) return ERROR_CATEGORIES.NETWORK;
+  if (VALIDATION_PATTERN.test(message)) return ERROR_CATEGORIES.VALIDATION;
+  return ERROR_CATEGORIES.UNKNOWN;
+};
+
+// Pulls a readable message out of a thunk rejection, an RTK Query error or a
+// thrown Error
+export const getErrorMessage = (error) => {
+  if (!error) return 'Something went wrong';
+  if (typeof error === 'string') return error;
+  if (typeof error.data === 'string' && error.data) return error.data;
+  if (error.data?.message) return error.data.message;
+  if (error.error) return error.error;
+  if (error.message) return error.message;
+  if (error.status) return `Request failed with status ${error.status}`;
+  return 'Something went wrong';
+};
+
+export const classifyError = (error) => {
+  const message = getErrorMessage(error);
+  const category = classifyStatus(error?.status) || classifyMessage(message);
+  return { category, message };
+};
+
+// ============================================================================
+// ERROR MIDDLEWARE
+// ============================================================================
+export const defaultErrorOptions = {
+  notify: true,
+  // First matching rule wins. A rule has `match` (action type patterns, or an
+  // (action) => boolean matcher) and any of `ignore`, `notify`, `category` or
+  // `message` (string or (error, action) => string).
+  rules: [],
+  // Re-throw reducer exceptions after reporting them
+  rethrow: false,
+  logger: console,
+};
+
+export const createErrorMiddleware = (options = {}) => {
+  const config = { ...defaultErrorOptions, ...options };
+  const rules = config.rules.map(rule => {
+    if (typeof rule.match === 'function') {
+      return { ...rule, matches: rule.match };
+    }
+    const matchesType = createActionMatcher([].concat(rule.match));
+    return { ...rule, matches: (action) => matchesType(action.type) };
+  });
+
+  const findRule = (action) => rules.find(rule => rule.matches(action)) || {};
+
+  const report = (dispatch, action, error) => {
+    const rule = findRule(action);
+    if (rule.ignore) return;
+
+    const classified = classifyError(error);
+    const category = rule.category || classified.category;
+    const message = typeof rule.message === 'function'
+      ? rule.message(error, action)
+      : rule.message || classified.message;
+
+    dispatch(setError({ type: ERROR_STATE_KEYS[category], message }));
+
+    if (rule.notify ?? config.notify) {
+      dispatch(addNotification({
+        type: 'error',
+        title: NOTIFICATION_TITLES[category],
+        message,
+      }));
+    }
+  };
+
+  return (store) => (next) => (action) => {
+    let result;
+
+    try {
+      result = next(action);
+    } catch (error) {
+      config.logger.error(`Error while handling "${action?.type}":`, error);
+      report(store.dispatch, action, error);
+      if (config.rethrow) throw error;
+      return undefined;
+    }
+
+    // Rejected thunks from every slice and RTK Query. Skipped conditions and
+    // aborted requests aren't failures.
+    if (isRejected(action) && !action.meta?.condition && !action.meta?.aborted) {
+      report(store.dispatch, action, action.payload ?? action.error);
+    }
+
+    return result;
+  };
+};
@@ -0,0 +1,106 @@
+import { createActionMatcher, redactPaths, omitKeys, isPlainObject, now } from './middlewareUtils';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+// Lists changed leaf paths between two states, e.g. 'todos.entities.3.completed'
+export const diffState = (prev, next, path = [], changes = []) => {
+  if (prev === next) return changes;
+
+  const bothObjects = isPlainObject(prev) && isPlainObject(next);
+  const bothArrays = Array.isArray(prev) && Array.isArray(next);
+
+  if (bothObjects || bothArrays) {
+    const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+    keys.forEach(key => diffState(prev[key], next[key], [...path, key], changes));
+    return changes;
+  }
+
+  changes.push({ path: path.join('.'), before: prev, after: next });
+  return changes;
+};
+
+// ============================================================================
+// LOGGER MIDDLEWARE
+// ============================================================================
+export const defaultLoggerOptions = {
+  enabled: true,
+  // Preference in ui.preferences that overrides `enabled` at runtime
+  preferenceKey: 'debugLogging',
+  include: [],
+  exclude: [],
+  collapsed: true,
+  diff: true,
+  timing: true,
+  // Dotted state paths, e.g. 'user.token'
+  redact: [],
+  // Dotted action paths, e.g. 'meta.arg.password'
+  redactAction: [],
+  // Top-level slices left out of state output, e.g. the RTK Query cache
+  omitSlices: [],
+  logger: console,
+};
+
+export const createLoggerMiddleware = (options = {}) => {
+  const config = { ...defaultLoggerOptions, ...options };
+  const isIncluded = createActionMatcher(config.include);
+  const isExcluded = createActionMatcher(config.exclude);
+  const { logger } = config;
+
+  const isEnabled = (state) => {
+    const preference = state?.ui?.preferences?.[config.preferenceKey];
+    return typeof preference === 'boolean' ? preference : config.enabled;
+  };
+
+  const shouldLog = (type) =>
+    (config.include.length === 0 || isIncluded(type)) && !isExcluded(type);
+
+  const prepareState = (state) =>
+    redactPaths(omitKeys(state, config.omitSlices), config.redact);
+
+  return (store) => (next) => (action) => {
+    const prevState = store.getState();
+
+    if (!isEnabled(prevState) || !shouldLog(action.type)) {
+      return next(action);
+    }
+
+    const startedAt = now();
+    const result = next(action);
+    const duration = now() - startedAt;
+    const nextState = store.getState();
+
+    const time = new Date().toTimeString().slice(0, 8);
+    const title = config.timing
+      ? `action ${action.type} @ ${time} (${duration.toFixed(2)} ms)`
+      : `action ${action.type} @ ${time}`;
+
+    if (config.collapsed) {
+      logger.groupCollapsed(title);
+    } else {
+      logger.group(title);
+    }
+
+    try {
+      logger.log('action', redactPaths(action, config.redactAction));
+
+      if (config.diff) {
+        const changes = diffState(prepareState(prevState), prepareState(nextState));
+        if (changes.length === 0) {
+          logger.log('diff', 'no state changes');
+        } else {
+          changes.forEach(({ path, before, after }) => {
+            logger.log(`diff ${path}`, before, '→', after);
+          });
+        }
+      } else {
+        logger.log('prev state', prepareState(prevState));
+        logger.log('next state', prepareState(nextState));
+      }
+    } finally {
+      logger.groupEnd();
+    }
+
+    return result;
+  };
+};
@@ -0,0 +1,66 @@
+// Helpers shared by the custom middleware in src/app
+
+export const REDACTED = '[REDACTED]';
+
+const escapeRegExp = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// Patterns are exact action types, globs like 'api/*', or regular expressions
+export const createActionMatcher = (patterns = []) => {
+  const matchers = patterns.map(pattern => {
+    if (pattern instanceof RegExp) {
+      return (type) => pattern.test(type);
+    }
+    if (pattern.includes('*')) {
+      const regex = new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`);
+      return (type) => regex.test(type);
+    }
+    return (type) => type === pattern;
+  });
+
+  return (type) => matchers.some(matches => matches(type));
+};
+
+// High-resolution time in ms where available
+export const now = () =>
+  typeof performance !== 'undefined' ? performance.now() : Date.now();
+
+export const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Returns a copy with every dotted path (a '*' segment matches any key)
+// replaced by REDACTED. Only the objects along each path are cloned.
+export const redactPaths = (value, paths = []) => {
+  const redactSegments = (target, segments) => {
+    if (!isPlainObject(target) && !Array.isArray(target)) return target;
+
+    const [head, ...rest] = segments;
+    const keys = head === '*' ? Object.keys(target) : [head];
+    let copy = target;
+
+    keys.forEach(key => {
+      if (!(key in target)) return;
+      const redacted = rest.length === 0 ? REDACTED : redactSegments(target[key], rest);
+      if (redacted !== target[key]) {
+        if (copy === target) {
+          copy = Array.isArray(target) ? [...target] : { ...target };
+        }
+        copy[key] = redacted;
+      }
+    });
+
+    return copy;
+  };
+
+  return paths.reduce((result, path) => redactSegments(result, path.split('.')), value);
+};
+
+// Shallow copy without the given top-level keys
+export const omitKeys = (value, keys = []) => {
+  if (!isPlainObject(value) || keys.length === 0) return value;
+
+  const copy = { ...value };
+  keys.forEach(key => {
+    delete copy[key];
+  });
+  return copy;
+};
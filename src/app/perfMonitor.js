@@ -0,0 +1,238 @@
+import { createActionMatcher, now } from './middlewareUtils';
+
+// Below this many dispatches, recompute ratios are too noisy to flag
+const MIN_DISPATCHES_FOR_RATIO = 20;
+const RATE_WINDOW_MS = 1000;
+
+// ============================================================================
+// PERF MONITOR
+// ============================================================================
+export const defaultPerfOptions = {
+  enabled: true,
+  exclude: [],
+  budgets: {
+    // One reducer pass for a single action
+    reducerMs: 2,
+    // Reducer plus subscribers (useSelector checks, renders): about a frame
+    dispatchMs: 16,
+    dispatchesPerSecond: 100,
+    // Recomputes per dispatch; a selector near 1 is barely memoized
+    selectorRecomputationsPerDispatch: 0.5,
+  },
+  // Named createSelector selectors to watch, e.g. `import * as selectors`.
+  // Anything without recomputations() is skipped.
+  selectors: {},
+  // Recent budget violations kept in the stats
+  violationLimit: 50,
+  // Called once per over-budget action type or rate until the next reset
+  onViolation: ({ kind, name, value, budget }) => {
+    console.warn(`[perf] ${kind} budget exceeded by ${name}: ${value.toFixed(2)} > ${budget}`);
+  },
+};
+
+const createActionStats = () => ({
+  count: 0,
+  reducerTotalMs: 0,
+  reducerMaxMs: 0,
+  dispatchTotalMs: 0,
+  dispatchMaxMs: 0,
+});
+
+/**
+ * Collects reducer and dispatch timings per action type, the dispatch rate
+ * and selector recompute counts, and flags anything over `budgets`.
+ *
+ * `reducer(rootReducer)` wraps the root reducer for reducer timings and
+ * `middleware` should sit last in the chain, so dispatch timings cover the
+ * reducer and store subscribers but not other middleware.
+ */
+export const createPerfMonitor = (options = {}) => {
+  const config = {
+    ...defaultPerfOptions,
+    ...options,
+    budgets: { ...defaultPerfOptions.budgets, ...options.budgets },
+  };
+  const { budgets } = config;
+  const isExcluded = createActionMatcher(config.exclude);
+  const trackedSelectors = Object.entries(config.selectors).filter(
+    ([, selector]) => typeof selector?.recomputations === 'function'
+  );
+
+  let startedAt;
+  let actions;
+  let dispatches;
+  let recentDispatches;
+  let peakDispatchesPerSecond;
+  let selectorBaselines;
+  let violations;
+  let reported;
+
+  const reset = () => {
+    startedAt = Date.now();
+    actions = {};
+    dispatches = 0;
+    recentDispatches = [];
+    peakDispatchesPerSecond = 0;
+    // Selectors are module-level and shared between stores, so count from a
+    // baseline instead of resetting them
+    selectorBaselines = Object.fromEntries(
+      trackedSelectors.map(([name, selector]) => [name, selector.recomputations()])
+    );
+    violations = [];
+    reported = new Set();
+  };
+  reset();
+
+  const getActionStats = (type) => {
+    if (!actions[type]) {
+      actions[type] = createActionStats();
+    }
+    return actions[type];
+  };
+
+  const flag = (kind, name, value, budget) => {
+    const violation = { kind, name, value, budget, timestamp: Date.now() };
+    violations.push(violation);
+    if (violations.length > config.violationLimit) {
+      violations.shift();
+    }
+
+    const key = `${kind}:${name}`;
+    if (!reported.has(key)) {
+      reported.add(key);
+      config.onViolation?.(violation);
+    }
+  };
+
+  const countDispatch = (timestamp) => {
+    dispatches += 1;
+    recentDispatches.push(timestamp);
+    while (recentDispatches[0] <= timestamp - RATE_WINDOW_MS) {
+      recentDispatches.shift();
+    }
+
+    const rate = recentDispatches.length;
+    if (rate > peakDispatchesPerSecond) {
+      peakDispatchesPerSecond = rate;
+    }
+    if (rate === budgets.dispatchesPerSecond + 1) {
+      flag('rate', 'dispatchesPerSecond', rate, budgets.dispatchesPerSecond);
+    }
+  };
+
+  const reducer = (rootReducer) => (state, action) => {
+    if (state === undefined || isExcluded(action.type)) {
+      return rootReducer(state, action);
+    }
+
+    const reducerStartedAt = now();
+    const nextState = rootReducer(state, action);
+    const duration = now() - reducerStartedAt;
+
+    const stats = getActionStats(action.type);
+    stats.reducerTotalMs += duration;
+    stats.reducerMaxMs = Math.max(stats.reducerMaxMs, duration);
+    if (duration > budgets.reducerMs) {
+      flag('reducer', action.type, duration, budgets.reducerMs);
+    }
+
+    return nextState;
+  };
+
+  const middleware = () => (next) => (action) => {
+    if (typeof action?.type !== 'string' || isExcluded(action.type)) {
+      return next(action);
+    }
+
+    const dispatchStartedAt = now();
+    countDispatch(dispatchStartedAt);
+
+    try {
+      return next(action);
+    } finally {
+      const duration = now() - dispatchStartedAt;
+      const stats = getActionStats(action.type);
+      stats.count += 1;
+      stats.dispatchTotalMs += duration;
+      stats.dispatchMaxMs = Math.max(stats.dispatchMaxMs, duration);
+      if (duration > budgets.dispatchMs) {
+        flag('dispatch', action.type, duration, budgets.dispatchMs);
+      }
+    }
+  };
+
+  // A snapshot of everything collected since the last reset
+  const getStats = () => {
+    const timestamp = now();
+    const dispatchesPerSecond = recentDispatches.filter(
+      dispatchedAt => dispatchedAt > timestamp - RATE_WINDOW_MS
+    ).length;
+
+    const actionStats = Object.fromEntries(
+      Object.entries(actions).map(([type, stats]) => {
+        const reducerAvgMs = stats.count ? stats.reducerTotalMs / stats.count : 0;
+        const dispatchAvgMs = stats.count ? stats.dispatchTotalMs / stats.count : 0;
+        return [type, {
+          ...stats,
+          reducerAvgMs,
+          dispatchAvgMs,
+          overBudget: stats.reducerMaxMs > budgets.reducerMs ||
+            stats.dispatchMaxMs > budgets.dispatchMs,
+        }];
+      })
+    );
+
+    const selectorStats = Object.fromEntries(
+      trackedSelectors.map(([name, selector]) => {
+        const recomputations = selector.recomputations() - selectorBaselines[name];
+        const perDispatch = dispatches ? recomputations / dispatches : 0;
+        return [name, {
+          recomputations,
+          perDispatch,
+          overBudget: dispatches >= MIN_DISPATCHES_FOR_RATIO &&
+            perDispatch > budgets.selectorRecomputationsPerDispatch,
+        }];
+      })
+    );
+
+    return {
+      since: startedAt,
+      budgets,
+      dispatches,
+      dispatchesPerSecond,
+      peakDispatchesPerSecond,
+      actions: actionStats,
+      selectors: selectorStats,
+      violations: [...violations],
+    };
+  };
+
+  return {
+    reducer,
+    middleware,
+    getStats,
+    reset,
+  };
+};
+
+// ============================================================================
+// STATS SELECTORS
+// ============================================================================
+
+// Stats live outside the Redux state (recording them would itself dispatch),
+// so these take a getStats() snapshot rather than the store state
+
+export const selectPerfStats = (monitor) => (monitor ? monitor.getStats() : null);
+
+export const selectSlowestActions = (stats, limit = 5) =>
+  Object.entries(stats.actions)
+    .map(([type, actionStats]) => ({ type, ...actionStats }))
+    .sort((a, b) => b.reducerAvgMs - a.reducerAvgMs)
+    .slice(0, limit);
+
+export const selectBusiestSelectors = (stats, limit = 5) =>
+  Object.entries(stats.selectors)
+    .map(([name, selectorStats]) => ({ name, ...selectorStats }))
+    .filter(selector => selector.recomputations > 0)
+    .sort((a, b) => b.recomputations - a.recomputations)
+    .slice(0, limit);
@@ -0,0 +1,245 @@
+import { createAction } from '@reduxjs/toolkit';
+import { createLocalStorage } from './storage';
+import { createClock } from './services';
+import { normalizeTodo, withTodoOrder, todosAdapter } from '../features/todoModel';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Each slice opts in with either a whitelist or a blacklist of top-level keys.
+// Bump `version` whenever the persisted shape changes and add a migration
+// keyed by the version it upgrades *to*.
+export const persistConfig = {
+  keyPrefix: 'rtk-poc',
+  throttle: 1000,
+  slices: {
+    todos: {
+      version: 6,
+      whitelist: ['ids', 'entities', 'pagination'],
+      migrations: {
+        // Todos gained description, dueDate, priority, tags and timestamps
+        2: (data) => ({ ...data, list: (data.list || []).map(normalizeTodo) }),
+        // Todos gained a manual `order`, taken from their saved position
+        3: (data) => ({ ...data, list: withTodoOrder(data.list || []) }),
+        // Todos gained subtasks
+        4: (data) => ({ ...data, list: (data.list || []).map(normalizeTodo) }),
+        // Todos gained recurrence rules
+        5: (data) => ({ ...data, list: (data.list || []).map(normalizeTodo) }),
+        // The list became normalized { ids, entities }
+        6: ({ list = [], ...data }) => ({
+          ...data,
+          ...todosAdapter.setAll(todosAdapter.getInitialState(), list),
+        }),
+      },
+    },
+    posts: {
+      version: 1,
+      whitelist: ['drafts', 'favorites'],
+    },
+    user: {
+      version: 2,
+      whitelist: ['userData', 'token', 'refreshToken', 'tokenExpiresAt', 'isAuthenticated', 'lastLoginTime'],
+      migrations: {
+        // Sessions gained a refresh token and expiry; older ones never expire
+        2: (data) => ({ ...data, refreshToken: null, tokenExpiresAt: null }),
+      },
+    },
+  },
+};
+
+// Dispatched once on startup with the migrated, persisted slice data
+export const rehydrate = createAction('persist/rehydrate');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+const storageKey = (config, sliceName) => `${config.keyPrefix}:${sliceName}`;
+
+export const pickPersisted = (sliceState, { whitelist, blacklist }) => {
+  if (!sliceState) return sliceState;
+
+  const keys = whitelist
+    ? whitelist
+    : Object.keys(sliceState).filter(key => !(blacklist || []).includes(key));
+
+  return keys.reduce((picked, key) => {
+    if (key in sliceState) {
+      picked[key] = sliceState[key];
+    }
+    return picked;
+  }, {});
+};
+
+export const migrate = (data, fromVersion, sliceConfig) => {
+  const { version, migrations = {} } = sliceConfig;
+  let migrated = data;
+
+  for (let next = fromVersion + 1; next <= version; next += 1) {
+    if (migrations[next]) {
+      migrated = migrations[next](migrated);
+    }
+  }
+
+  return migrated;
+};
+
+const readSlice = (storage, config, sliceName) => {
+  const sliceConfig = config.slices[sliceName];
+  const raw = storage.getItem(storageKey(config, sliceName));
+
+  if (raw) {
+    const { version = 0, data } = JSON.parse(raw);
+    if (version > sliceConfig.version) {
+      // Written by a newer build; don't guess at the shape
+      return undefined;
+    }
+    return migrate(data, version, sliceConfig);
+  }
+
+  return undefined;
+};
+
+// ============================================================================
+// REDUCER ENHANCER
+// ============================================================================
+
+// Shallow-merges rehydrated data over each slice's current state so keys that
+// were never persisted keep their initial values
+export const withRehydrate = (reducer) => (state, action) => {
+  if (rehydrate.match(action) && state) {
+    const nextState = { ...state };
+    Object.entries(action.payload || {}).forEach(([sliceName, data]) => {
+      if (nextState[sliceName] && data) {
+        nextState[sliceName] = { ...nextState[sliceName], ...data };
+      }
+    });
+    return reducer(nextState, action);
+  }
+
+  return reducer(state, action);
+};
+
+// ============================================================================
+// PERSISTOR
+// ============================================================================
+// Saves wait `config.throttle` ms on `clock.delay`, so tests can decide when
+// they happen by passing a fake clock
+export const createPersistor = (config = persistConfig, storage = createLocalStorage(), clock = createClock()) => {
+  const lastPersisted = {};
+  // Slices whose stored data has been merged into the state
+  const rehydrated = new Set();
+  let pendingState = null;
+  // The pending save; flush and purge replace it so a stale delay does nothing
+  let scheduled = null;
+
+  const schedule = () => {
+    const save = {};
+    scheduled = save;
+    clock.delay(config.throttle).then(() => {
+      if (scheduled === save) flush();
+    });
+  };
+
+  const write = (state) => {
+    Object.entries(config.slices).forEach(([sliceName, sliceConfig]) => {
+      const sliceState = state[sliceName];
+      if (sliceState === undefined || sliceState === lastPersisted[sliceName]) return;
+
+      lastPersisted[sliceName] = sliceState;
+      try {
+        storage.setItem(storageKey(config, sliceName), JSON.stringify({
+          version: sliceConfig.version,
+          data: pickPersisted(sliceState, sliceConfig),
+        }));
+      } catch (error) {
+        console.error(`Failed to persist "${sliceName}" state:`, error);
+      }
+    });
+  };
+
+  const flush = () => {
+    scheduled = null;
+    if (pendingState) {
+      write(pendingState);
+    }
+    pendingState = null;
+  };
+
+  const load = () => {
+    return Object.keys(config.slices).reduce((loaded, sliceName) => {
+      try {
+        const data = readSlice(storage, config, sliceName);
+        if (data !== undefined) {
+          loaded[sliceName] = data;
+        }
+      } catch (error) {
+        console.error(`Failed to rehydrate "${sliceName}" state:`, error);
+      }
+      return loaded;
+    }, {});
+  };
+
+  const purge = () => {
+    scheduled = null;
+    pendingState = null;
+    Object.keys(config.slices).forEach(sliceName => {
+      storage.removeItem(storageKey(config, sliceName));
+    });
+  };
+
+  // Slices injected after the store was created (see rootReducer) missed the
+  // initial rehydrate, so their data is loaded when they first show up in
+  // state, before anything can overwrite it
+  const rehydrateLateSlices = (store, action) => {
+    const state = store.getState();
+    const slicesInState = Object.keys(config.slices).filter(
+      sliceName => state[sliceName] !== undefined && !rehydrated.has(sliceName)
+    );
+
+    if (rehydrate.match(action)) {
+      slicesInState.forEach(sliceName => rehydrated.add(sliceName));
+      return;
+    }
+
+    slicesInState.forEach(sliceName => {
+      rehydrated.add(sliceName);
+      try {
+        const data = readSlice(storage, config, sliceName);
+        if (data !== undefined) {
+          store.dispatch(rehydrate({ [sliceName]: data }));
+        }
+      } catch (error) {
+        console.error(`Failed to rehydrate "${sliceName}" state:`, error);
+      }
+    });
+  };
+
+  const middleware = (store) => (next) => (action) => {
+    const result = next(action);
+    rehydrateLateSlices(store, action);
+
+    // Rehydration counts as a change too, which writes migrated data back
+    // under the current schema version
+    const state = store.getState();
+    const changed = Object.keys(config.slices).some(
+      sliceName => state[sliceName] !== lastPersisted[sliceName]
+    );
+
+    if (changed) {
+      pendingState = state;
+      if (!scheduled) {
+        schedule();
+      }
+    }
+
+    return result;
+  };
+
+  return {
+    middleware,
+    load,
+    flush,
+    purge,
+  };
+};
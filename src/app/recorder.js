@@ -0,0 +1,174 @@
+import { createActionMatcher, redactPaths, omitKeys } from './middlewareUtils';
+import { diffState } from './logger';
+
+export const RECORDING_VERSION = 1;
+
+// ============================================================================
+// RING BUFFER
+// ============================================================================
+const createRingBuffer = (capacity) => {
+  const items = new Array(capacity);
+  let start = 0;
+  let size = 0;
+
+  return {
+    push: (item) => {
+      items[(start + size) % capacity] = item;
+      if (size < capacity) {
+        size += 1;
+      } else {
+        start = (start + 1) % capacity;
+      }
+    },
+    toArray: () => Array.from({ length: size }, (_, index) => items[(start + index) % capacity]),
+    clear: () => {
+      items.fill(undefined);
+      start = 0;
+      size = 0;
+    },
+  };
+};
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+export const defaultRecorderOptions = {
+  limit: 500,
+  autoStart: true,
+  exclude: [],
+  // Dotted action paths replaced before an action is stored
+  redactAction: [],
+  // Dotted state paths replaced in the recorded snapshots
+  redactState: [],
+  // Top-level slices left out of the snapshots, e.g. the RTK Query cache
+  omitSlices: [],
+  now: () => Date.now(),
+};
+
+export const createRecorder = (options = {}) => {
+  const config = { ...defaultRecorderOptions, ...options };
+  const isExcluded = createActionMatcher(config.exclude);
+  const buffer = createRingBuffer(config.limit);
+  let recording = config.autoStart;
+  let lastState = null;
+
+  // Each entry keeps the state it was dispatched against. Slice state is
+  // structurally shared, so this costs references rather than copies.
+  const middleware = (store) => (next) => (action) => {
+    if (!recording || isExcluded(action.type)) {
+      return next(action);
+    }
+
+    const stateBefore = store.getState();
+    const result = next(action);
+    lastState = store.getState();
+
+    buffer.push({
+      timestamp: config.now(),
+      action: redactPaths(action, config.redactAction),
+      stateBefore,
+    });
+
+    return result;
+  };
+
+  const getRecording = () => {
+    const entries = buffer.toArray();
+    const redactState = (state) =>
+      redactPaths(omitKeys(state, config.omitSlices), config.redactState);
+
+    return {
+      version: RECORDING_VERSION,
+      exportedAt: new Date(config.now()).toISOString(),
+      initialState: entries.length > 0 ? redactState(entries[0].stateBefore) : null,
+      actions: entries.map(({ timestamp, action }) => ({ timestamp, action })),
+      finalState: lastState ? redactState(lastState) : null,
+    };
+  };
+
+  return {
+    middleware,
+    start: () => {
+      recording = true;
+    },
+    stop: () => {
+      recording = false;
+    },
+    clear: () => {
+      buffer.clear();
+      lastState = null;
+    },
+    isRecording: () => recording,
+    getRecording,
+  };
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+export const serializeRecording = (recording) => JSON.stringify(recording, null, 2);
+
+export const downloadRecording = (recording, filename = `session-${Date.now()}.json`) => {
+  const blob = new Blob([serializeRecording(recording)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// ============================================================================
+// REPLAY
+// ============================================================================
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Feeds a recording into a fresh store built by `createStore(initialState)`.
+ *
+ * `speed` scales the recorded gaps between actions (2 = twice as fast,
+ * Infinity = no waiting). Resolves with the store and whether its final state
+ * matches the recorded snapshot. Only slices present in the snapshot are
+ * compared, ignoring `ignorePaths` (dotted paths) and the `redactState` paths
+ * that were applied while recording.
+ */
+export const replayRecording = async (recording, {
+  createStore,
+  speed = 1,
+  ignorePaths = [],
+  redactState = [],
+  onAction,
+} = {}) => {
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${recording.version}`);
+  }
+
+  const store = createStore(recording.initialState ?? undefined);
+  let previousTimestamp = recording.actions[0]?.timestamp;
+
+  for (const { timestamp, action } of recording.actions) {
+    const gap = (timestamp - previousTimestamp) / speed;
+    if (gap > 0 && Number.isFinite(gap)) {
+      await sleep(gap);
+    }
+    previousTimestamp = timestamp;
+
+    store.dispatch(action);
+    onAction?.(action, store.getState());
+  }
+
+  const { finalState } = recording;
+  const normalize = (state) => redactPaths(redactPaths(state, redactState), ignorePaths);
+  const replayedState = finalState
+    ? omitKeys(store.getState(), Object.keys(store.getState()).filter(key => !(key in finalState)))
+    : null;
+  const differences = finalState
+    ? diffState(normalize(finalState), normalize(replayedState))
+    : [];
+
+  return {
+    store,
+    matches: differences.length === 0,
+    differences,
+  };
+};
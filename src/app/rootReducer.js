@@ -0,0 +1,34 @@
+import { combineSlices } from '@reduxjs/toolkit';
+import counterReducer from '../features/counterSlice';
+import todoReducer from '../features/todoSlice';
+import userReducer from '../features/userSlice';
+import uiReducer from '../features/uiSlice';
+import { apiSlice } from '../features/apiSlice';
+
+// Slices needed on first load. Features that are code-split (posts) inject
+// themselves with rootReducer.inject() when their module is imported, and
+// RTK Query endpoints are added the same way with injectEndpoints.
+export const rootReducer = combineSlices(
+  {
+    counter: counterReducer,
+    todos: todoReducer,
+    user: userReducer,
+    ui: uiReducer,
+  },
+  apiSlice,
+);
+
+// Modules of code-split slices by reducer path; importing one injects it
+const lazySliceLoaders = {
+  posts: () => import('../features/postsSlice'),
+};
+
+// combineSlices drops state for slices that aren't injected, so state that
+// already contains lazy slices (e.g. rendered on the server) needs them
+// injected before it is used as preloaded state
+export const injectLazySlices = (state = {}) =>
+  Promise.all(
+    Object.keys(lazySliceLoaders)
+      .filter(name => state[name] !== undefined)
+      .map(name => lazySliceLoaders[name]())
+  );
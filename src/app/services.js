@@ -0,0 +1,215 @@
+import { createLocalStorage } from './storage';
+
+// ============================================================================
+// HTTP CLIENT
+// ============================================================================
+export const createHttpClient = ({
+  baseUrl = 'https://jsonplaceholder.typicode.com',
+  fetchFn = (...args) => fetch(...args),
+} = {}) => {
+  const request = async (path, { method = 'GET', body, headers } = {}) => {
+    const response = await fetchFn(`${baseUrl}${path}`, {
+      method,
+      headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.status === 204 ? null : response.json();
+  };
+
+  // `options` takes extra request headers, e.g. { headers: { authorization } }
+  return {
+    get: (path, options) => request(path, options),
+    post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+    put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+    delete: (path, options) => request(path, { ...options, method: 'DELETE' }),
+  };
+};
+
+// ============================================================================
+// CLOCK
+// ============================================================================
+export const createClock = () => ({
+  now: () => Date.now(),
+  delay: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+});
+
+// ============================================================================
+// AUTH PROVIDERS
+// ============================================================================
+
+// An auth provider is
+//   login({ username, password }) -> { user, token, refreshToken, expiresIn }
+//   logout(token)
+//   refresh(refreshToken)         -> { token, refreshToken, expiresIn }
+//   getProfile(token)             -> user
+// where expiresIn is the access token's lifetime in seconds (null if it
+// doesn't expire), and rejects with an Error whose message can be shown to the user. The
+// password only ever reaches login; nothing returned should contain it.
+// Errors from a server that refused the request carry its `status` (400 or
+// 401 for bad credentials or tokens); unreachable servers leave it unset.
+
+const authError = (message) => Object.assign(new Error(message), { status: 401 });
+
+// Mock user data - in a real app, this would come from an API
+const mockUsers = [
+  { id: 1, username: 'john_doe', email: 'john@example.com', name: 'John Doe', role: 'admin' },
+  { id: 2, username: 'jane_smith', email: 'jane@example.com', name: 'Jane Smith', role: 'user' },
+  { id: 3, username: 'bob_wilson', email: 'bob@example.com', name: 'Bob Wilson', role: 'user' },
+];
+
+// Any listed user with the password 'password'. Access tokens last
+// `tokenLifetime` seconds; refresh tokens don't expire.
+export const createMockAuthProvider = ({
+  clock = createClock(),
+  users = mockUsers,
+  tokenLifetime = 15 * 60,
+} = {}) => {
+  // Simulate token generation: `mock_<kind>_<userId>_<issuedAt>`
+  const issueTokens = (user) => ({
+    token: `mock_token_${user.id}_${clock.now()}`,
+    refreshToken: `mock_refresh_${user.id}_${clock.now()}`,
+    expiresIn: tokenLifetime,
+  });
+
+  const findUserByToken = (token, kind) => {
+    const [prefix, tokenKind, userId] = String(token).split('_');
+    return prefix === 'mock' && tokenKind === kind
+      ? users.find(u => u.id === Number(userId))
+      : undefined;
+  };
+
+  const isExpired = (token) =>
+    clock.now() >= Number(String(token).split('_')[3]) + tokenLifetime * 1000;
+
+  return {
+    login: async ({ username, password }) => {
+      // Simulate API call delay
+      await clock.delay(1000);
+
+      const user = users.find(u => u.username === username);
+      if (!user || password !== 'password') {
+        throw authError('Invalid credentials');
+      }
+
+      return { user, ...issueTokens(user) };
+    },
+
+    logout: async () => {
+      // Simulate API call to invalidate token
+      await clock.delay(500);
+    },
+
+    refresh: async (refreshToken) => {
+      await clock.delay(300);
+
+      const user = findUserByToken(refreshToken, 'refresh');
+      if (!user) {
+        throw authError('Invalid refresh token');
+      }
+      return issueTokens(user);
+    },
+
+    getProfile: async (token) => {
+      await clock.delay(800);
+
+      const user = findUserByToken(token, 'token');
+      if (!user) {
+        throw authError('Invalid token');
+      }
+      if (isExpired(token)) {
+        throw authError('Expired token');
+      }
+      return user;
+    },
+  };
+};
+
+const DEFAULT_AUTH_PATHS = {
+  login: '/login',
+  logout: '/logout',
+  refresh: '/refresh',
+  profile: '/me',
+};
+
+/**
+ * Auth provider for a JSON API at `baseUrl`. Login and refresh POST
+ * { username, password } and { refreshToken } and expect
+ * { user, token, refreshToken, expiresIn } back; logout POSTs and the profile is a GET,
+ * both with the token as a bearer header. Rename endpoints with `paths`.
+ */
+export const createHttpAuthProvider = ({
+  baseUrl,
+  paths: pathOverrides,
+  fetchFn,
+} = {}) => {
+  const http = createHttpClient({ baseUrl, fetchFn });
+  const paths = { ...DEFAULT_AUTH_PATHS, ...pathOverrides };
+  const withToken = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+  // Keeps the status for callers, with messages fit for the login form
+  const request = async (send, messages = {}) => {
+    try {
+      return await send();
+    } catch (error) {
+      const message = messages[error.status] ?? (error.status ? error.message : 'Could not reach the sign-in server');
+      throw Object.assign(new Error(message), { status: error.status });
+    }
+  };
+
+  return {
+    login: async ({ username, password }) => {
+      const { user, token, refreshToken = null, expiresIn = null } = await request(
+        () => http.post(paths.login, { username, password }),
+        { 400: 'Invalid credentials', 401: 'Invalid credentials' }
+      );
+      return { user, token, refreshToken, expiresIn };
+    },
+
+    logout: (token) => request(() => http.post(paths.logout, {}, withToken(token))),
+
+    refresh: async (refreshToken) => {
+      const result = await request(
+        () => http.post(paths.refresh, { refreshToken }),
+        { 400: 'Invalid refresh token', 401: 'Invalid refresh token' }
+      );
+      return {
+        token: result.token,
+        refreshToken: result.refreshToken ?? refreshToken,
+        expiresIn: result.expiresIn ?? null,
+      };
+    },
+
+    getProfile: (token) => request(
+      () => http.get(paths.profile, withToken(token)),
+      { 401: 'Invalid token' }
+    ),
+  };
+};
+
+// ============================================================================
+// SERVICES
+// ============================================================================
+
+// Services reach thunks as `extra` and listeners as `listenerApi.extra`.
+// Pass overrides to build stores with fakes for tests, previews or SSR.
+// Sign-in goes to VITE_AUTH_ENDPOINT when it's set and the mock users otherwise.
+export const createServices = (overrides = {}) => {
+  const clock = overrides.clock || createClock();
+
+  return {
+    http: createHttpClient(),
+    storage: createLocalStorage(),
+    auth: import.meta.env.VITE_AUTH_ENDPOINT
+      ? createHttpAuthProvider({ baseUrl: import.meta.env.VITE_AUTH_ENDPOINT })
+      : createMockAuthProvider({ clock }),
+    clock,
+    ...overrides,
+  };
+};
@@ -0,0 +1,69 @@
+import { isAnyOf } from '@reduxjs/toolkit';
+import {
+  loginUser,
+  logoutUser,
+  refreshSession,
+  expireToken,
+  endExpiredSession,
+} from '../features/userSlice';
+import { setLeaderTab } from '../features/uiSlice';
+import { rehydrate } from './persistence';
+
+// setTimeout can't wait longer than this; longer waits go in steps
+const MAX_DELAY = 2 ** 31 - 1;
+
+const isSessionChange = isAnyOf(
+  loginUser.fulfilled,
+  refreshSession.fulfilled,
+  logoutUser.fulfilled,
+  expireToken,
+  rehydrate,
+  setLeaderTab,
+);
+
+// Renews the access token `leadTime` ms before it expires, so requests don't
+// have to fail with a 401 first. Only the leader tab refreshes; the others
+// get the new tokens through cross-tab sync. A refused refresh token ends the
+// session. Other failures, e.g. a dropped connection, are retried after
+// `retryDelay` ms, doubling up to `maxRetryDelay`, until the token expires.
+// Returns a function that removes the listener again.
+export const registerSessionRefresh = (startListening, {
+  leadTime = 60 * 1000,
+  retryDelay = 5 * 1000,
+  maxRetryDelay = 60 * 1000,
+} = {}) =>
+  startListening({
+    matcher: isSessionChange,
+    effect: async (action, listenerApi) => {
+      // Only the latest session change counts
+      listenerApi.cancelActiveListeners();
+
+      const { refreshToken, tokenExpiresAt } = listenerApi.getState().user;
+      if (!refreshToken || !tokenExpiresAt) return;
+
+      const { clock } = listenerApi.extra;
+      const expiresAt = Date.parse(tokenExpiresAt);
+      const refreshAt = expiresAt - leadTime;
+      let wait = refreshAt - clock.now();
+      while (wait > 0) {
+        await listenerApi.delay(Math.min(wait, MAX_DELAY));
+        wait = refreshAt - clock.now();
+      }
+
+      let nextRetry = retryDelay;
+      while (listenerApi.getState().ui.isLeaderTab) {
+        const result = await listenerApi.dispatch(refreshSession());
+        if (!refreshSession.rejected.match(result)) return;
+
+        const untilExpiry = expiresAt - clock.now();
+        if (result.meta.authFailed || untilExpiry <= 0) {
+          listenerApi.dispatch(endExpiredSession());
+          return;
+        }
+
+        // The last try is made as the token expires
+        await listenerApi.delay(Math.min(nextRetry, untilExpiry));
+        nextRetry = Math.min(nextRetry * 2, maxRetryDelay);
+      }
+    },
+  });
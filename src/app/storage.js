@@ -0,0 +1,63 @@
+// ============================================================================
+// STORAGE BACKENDS
+// ============================================================================
+
+// Every backend implements the synchronous subset of the Web Storage API:
+// getItem(key) -> string | null, setItem(key, value), removeItem(key)
+
+export const createMemoryStorage = (initialEntries = {}) => {
+  const entries = new Map(Object.entries(initialEntries));
+
+  return {
+    getItem: (key) => (entries.has(key) ? entries.get(key) : null),
+    setItem: (key, value) => {
+      entries.set(key, String(value));
+    },
+    removeItem: (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+const getWebStorage = (name) => {
+  try {
+    if (typeof window === 'undefined' || !window[name]) return null;
+
+    // Safari private mode exposes storage but throws on write
+    const probeKey = '__storage_probe__';
+    window[name].setItem(probeKey, probeKey);
+    window[name].removeItem(probeKey);
+    return window[name];
+  } catch {
+    return null;
+  }
+};
+
+// Falls back to memory so callers never have to null-check (Node, SSR,
+// disabled storage)
+export const createWebStorage = (name) => {
+  const backend = getWebStorage(name);
+  if (!backend) return createMemoryStorage();
+
+  return {
+    getItem: (key) => backend.getItem(key),
+    setItem: (key, value) => backend.setItem(key, value),
+    removeItem: (key) => backend.removeItem(key),
+  };
+};
+
+export const createLocalStorage = () => createWebStorage('localStorage');
+export const createSessionStorage = () => createWebStorage('sessionStorage');
+
+export const createStorage = (type = 'local') => {
+  switch (type) {
+    case 'local':
+      return createLocalStorage();
+    case 'session':
+      return createSessionStorage();
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+};
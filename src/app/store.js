@@ -1,47 +1,261 @@
-import { configureStore } from '@reduxjs/toolkit';
-import counterReducer from '../features/counterSlice';
-import todoReducer from '../features/todoSlice';
-import userReducer from '../features/userSlice';
-import uiReducer from '../features/uiSlice';
-import postsReducer from '../features/postsSlice';
+import { configureStore, createListenerMiddleware } from '@reduxjs/toolkit';
+import {
+  addTodo,
+  importTodos,
+  reorderTodos,
+  toggleTodo,
+  updateTodo,
+  deleteTodo,
+  completeSelected,
+  uncompleteSelected,
+  deleteSelected,
+  clearCompleted,
+  addSubtask,
+  toggleSubtask,
+  removeSubtask,
+  todoSyncStarted,
+  todoSyncSucceeded,
+  todoIdAssigned,
+  todoSyncFailed,
+  retryTodoSync,
+  undoTodos,
+  redoTodos,
+} from '../features/todoSlice';
+import { loginUser, logoutUser, refreshSession, expireToken } from '../features/userSlice';
+import {
+  hydrateUI,
+  setTheme,
+  toggleTheme,
+  updatePreferences,
+  resetPreferences,
+} from '../features/uiSlice';
 import { apiSlice } from '../features/apiSlice';
+import { persistConfig, createPersistor, withRehydrate, rehydrate } from './persistence';
+import { registerUIEffects, loadUIState } from './uiEffects';
+import { registerTodoSync, isTodoSyncRejection } from './todoSync';
+import { registerSessionRefresh } from './sessionRefresh';
+import { createLoggerMiddleware } from './logger';
+import { createErrorMiddleware } from './errorMiddleware';
+import { createSyncMiddleware } from './syncMiddleware';
+import { createServices } from './services';
+import { createMemoryStorage } from './storage';
+import { createRecorder, replayRecording } from './recorder';
+import { rootReducer } from './rootReducer';
+import { createPerfMonitor } from './perfMonitor';
+import { createAnalytics } from './analytics';
+import { createTimestampMiddleware } from './timestampMiddleware';
+import { analyticsEvents } from './analyticsEvents';
+import * as selectors from '../features/selectors';
 
-// Custom middleware for logging
-const loggerMiddleware = (store) => (next) => (action) => {
-  console.log('Dispatching:', action);
-  const result = next(action);
-  console.log('New state:', store.getState());
-  return result;
+// ============================================================================
+// MIDDLEWARE DEFAULTS
+// ============================================================================
+export const defaultMiddlewareOptions = {
+  // Logging is off in production builds unless ui.preferences.debugLogging is set
+  logger: {
+    enabled: import.meta.env.DEV,
+    exclude: ['api/config/*'],
+    redact: ['user.token', 'user.refreshToken'],
+    redactAction: ['meta.arg.password', 'payload.token', 'payload.refreshToken'],
+    omitSlices: [apiSlice.reducerPath],
+  },
+  // Reports thrown errors and rejected thunks/queries to ui.errors
+  errors: {
+    rules: [
+      // The login form shows its own error notification
+      { match: loginUser.rejected.type, notify: false },
+      // A session that can't be renewed opens the login form instead
+      { match: refreshSession.rejected.type, notify: false },
+      // Todo sync failures are rolled back and notified with a Retry action
+      { match: isTodoSyncRejection, ignore: true },
+    ],
+  },
+  // Replays session, theme, todo and post changes in other open tabs.
+  // Every tab saves the whole todo list, so each todo edit has to be here or
+  // the next save from another tab drops it. That includes undo and redo, and
+  // with every recorded action synced the tabs' histories stay in step.
+  sync: {
+    actions: [
+      loginUser.fulfilled.type,
+      refreshSession.fulfilled.type,
+      logoutUser.fulfilled.type,
+      expireToken.type,
+      setTheme.type,
+      toggleTheme.type,
+      updatePreferences.type,
+      resetPreferences.type,
+      addTodo.type,
+      importTodos.type,
+      reorderTodos.type,
+      toggleTodo.type,
+      updateTodo.type,
+      deleteTodo.type,
+      completeSelected.type,
+      uncompleteSelected.type,
+      deleteSelected.type,
+      clearCompleted.type,
+      addSubtask.type,
+      toggleSubtask.type,
+      removeSubtask.type,
+      todoSyncStarted.type,
+      todoSyncSucceeded.type,
+      todoIdAssigned.type,
+      todoSyncFailed.type,
+      retryTodoSync.type,
+      undoTodos.type,
+      redoTodos.type,
+      // Referenced by type: importing postsSlice would defeat its lazy loading
+      'posts/deletePost/fulfilled',
+      'posts/toggleFavorite',
+      'posts/clearFavorites',
+      'posts/undo',
+      'posts/redo',
+    ],
+    slices: ['user', 'ui', 'todos', 'posts'],
+    leaderElection: true,
+  },
+  // Saves local todo changes to the API optimistically, rolling back failures
+  todoSync: {},
+  // Renews the access token shortly before it expires (leader tab only)
+  sessionRefresh: { leadTime: 60 * 1000 },
+  // Persists whitelisted slice data with throttled writes
+  persistence: persistConfig,
+  // Keeps the last actions for export and replay when reporting bugs
+  recorder: {
+    limit: 500,
+    exclude: ['api/config/*'],
+    redactAction: ['meta.arg.password', 'payload.token', 'payload.refreshToken'],
+    redactState: ['user.token', 'user.refreshToken'],
+    omitSlices: [apiSlice.reducerPath],
+  },
+  // meta.timestamp from services.clock; undo grouping in the todo and post
+  // histories reads it
+  timestamps: {
+    actions: ['todos/*', 'posts/*'],
+  },
+  // Usage events for consenting users (ui.preferences.analyticsConsent).
+  // Logged in development and buffered in storage otherwise, unless
+  // VITE_ANALYTICS_ENDPOINT is set.
+  analytics: {
+    events: analyticsEvents,
+    sinks: import.meta.env.VITE_ANALYTICS_ENDPOINT
+      ? ['http']
+      : [import.meta.env.DEV ? 'console' : 'storage'],
+    endpoint: import.meta.env.VITE_ANALYTICS_ENDPOINT,
+  },
+  // Reducer/dispatch timings and selector recomputes, checked against budgets
+  perf: {
+    enabled: import.meta.env.DEV,
+    exclude: ['api/config/*'],
+    selectors,
+  },
 };
 
-// Custom middleware for error handling
-const errorMiddleware = (store) => (next) => (action) => {
-  try {
-    return next(action);
-  } catch (error) {
-    console.error('Redux Error:', error);
-    // You could dispatch an error action here
-    return next(action);
+// Each entry in `overrides` is merged over the default options, or `false`
+// to leave that middleware out
+const resolveMiddlewareOptions = (overrides = {}) =>
+  Object.keys(defaultMiddlewareOptions).reduce((resolved, name) => {
+    const override = overrides[name];
+    resolved[name] = override === false
+      ? false
+      : { ...defaultMiddlewareOptions[name], ...override };
+    return resolved;
+  }, {});
+
+// ============================================================================
+// STORE FACTORY
+// ============================================================================
+
+/**
+ * Builds an isolated store. Services (http, auth, storage, clock) are passed
+ * to thunks as `extra`, so tests, previews and SSR can supply fakes.
+ */
+export const makeStore = ({ preloadedState, services: serviceOverrides, middlewareOptions } = {}) => {
+  const services = createServices(serviceOverrides);
+  const options = resolveMiddlewareOptions(middlewareOptions);
+  const listenerMiddleware = createListenerMiddleware({ extra: services });
+  const persistor = options.persistence
+    ? createPersistor(options.persistence, services.storage, services.clock)
+    : null;
+  const recorder = options.recorder ? createRecorder(options.recorder) : null;
+  const perf = options.perf && options.perf.enabled ? createPerfMonitor(options.perf) : null;
+  const analytics = options.analytics
+    ? createAnalytics({ storage: services.storage, now: services.clock.now, ...options.analytics })
+    : null;
+  const reducer = withRehydrate(rootReducer);
+
+  // Theme and preference writes happen in listeners, keeping uiSlice pure
+  registerUIEffects(listenerMiddleware.startListening, services.storage);
+  if (options.todoSync) {
+    registerTodoSync(listenerMiddleware.startListening);
+  }
+  if (options.sessionRefresh) {
+    registerSessionRefresh(listenerMiddleware.startListening, options.sessionRefresh);
   }
+
+  const store = configureStore({
+    reducer: perf ? perf.reducer(reducer) : reducer,
+    preloadedState,
+    middleware: (getDefaultMiddleware) => {
+      const middleware = getDefaultMiddleware({
+        thunk: {
+          extraArgument: services,
+        },
+        serializableCheck: {
+          ignoredActions: [apiSlice.util.resetApiState.type],
+        },
+      })
+        .prepend(listenerMiddleware.middleware)
+        .concat(apiSlice.middleware);
+
+      return middleware.concat([
+        options.timestamps && createTimestampMiddleware({ now: services.clock.now, ...options.timestamps }),
+        persistor && persistor.middleware,
+        options.sync && createSyncMiddleware(options.sync),
+        options.logger && createLoggerMiddleware(options.logger),
+        recorder && recorder.middleware,
+        options.errors && createErrorMiddleware(options.errors),
+        analytics && analytics.middleware,
+        // Last, so its dispatch timings leave out the other middleware
+        perf && perf.middleware,
+      ].filter(Boolean));
+    },
+    devTools: import.meta.env.DEV,
+  });
+
+  // Rehydrate persisted state before the first render
+  if (persistor) {
+    store.dispatch(rehydrate(persistor.load()));
+  }
+  store.dispatch(hydrateUI(loadUIState(services.storage)));
+
+  store.services = services;
+  store.persistor = persistor;
+  store.recorder = recorder;
+  store.perf = perf;
+  store.analytics = analytics;
+  return store;
 };
 
-export const store = configureStore({
-  reducer: {
-    counter: counterReducer,
-    todos: todoReducer,
-    user: userReducer,
-    ui: uiReducer,
-    posts: postsReducer,
-    [apiSlice.reducerPath]: apiSlice.reducer,
-  },
-  middleware: (getDefaultMiddleware) =>
-    getDefaultMiddleware({
-      serializableCheck: {
-        ignoredActions: [apiSlice.util.resetApiState.type],
+// Replays a recording from `store.recorder` into a fresh, isolated store
+export const replaySession = (recording, options = {}) =>
+  replayRecording(recording, {
+    createStore: (preloadedState) => makeStore({
+      preloadedState,
+      services: { storage: createMemoryStorage() },
+      // Whatever these dispatched is already part of the recording
+      middlewareOptions: {
+        persistence: false,
+        sync: false,
+        errors: false,
+        recorder: false,
+        perf: false,
+        analytics: false,
+        todoSync: false,
+        sessionRefresh: false,
       },
-    })
-      .concat(apiSlice.middleware)
-      .concat(loggerMiddleware)
-      .concat(errorMiddleware),
-  devTools: process.env.NODE_ENV !== 'production',
-});
+    }),
+    redactState: defaultMiddlewareOptions.recorder.redactState,
+    ...options,
+  });
+
@@ -0,0 +1,93 @@
+import { setLeaderTab } from '../features/uiSlice';
+import { createActionMatcher } from './middlewareUtils';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+const createTabId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const getSliceName = (type) => type.split('/')[0];
+
+// Only one tab holds the lock at a time; when it closes the next waiting tab
+// takes over. Without the Web Locks API every tab stays leader.
+const electLeader = (lockName, onChange) => {
+  if (typeof navigator === 'undefined' || !navigator.locks) return;
+
+  const holdLock = () => {
+    onChange(true);
+    // Never resolves, so the lock is held until the tab goes away
+    return new Promise(() => {});
+  };
+
+  navigator.locks.request(lockName, { ifAvailable: true }, (lock) => {
+    if (lock) return holdLock();
+
+    onChange(false);
+    navigator.locks.request(lockName, holdLock);
+    return undefined;
+  });
+};
+
+// ============================================================================
+// SYNC MIDDLEWARE
+// ============================================================================
+export const defaultSyncOptions = {
+  channelName: 'rtk-poc-sync',
+  // Action type patterns that are broadcast to and replayed in other tabs
+  actions: [],
+  // Slices whose actions may be synced; empty allows every slice
+  slices: [],
+  // Elect a single leader tab (ui.isLeaderTab) for work like polling
+  leaderElection: false,
+};
+
+export const createSyncMiddleware = (options = {}) => {
+  const config = { ...defaultSyncOptions, ...options };
+  const tabId = createTabId();
+  const isSyncedType = createActionMatcher(config.actions);
+
+  const shouldSync = (type) =>
+    isSyncedType(type) &&
+    (config.slices.length === 0 || config.slices.includes(getSliceName(type)));
+
+  if (typeof BroadcastChannel === 'undefined') {
+    return () => (next) => (action) => next(action);
+  }
+
+  return (store) => {
+    const channel = new BroadcastChannel(config.channelName);
+
+    channel.onmessage = (event) => {
+      const { sourceTabId, action } = event.data || {};
+      if (!action || sourceTabId === tabId || !shouldSync(action.type)) return;
+
+      // Marked as remote so it isn't broadcast back out
+      store.dispatch({ ...action, meta: { remote: true, sourceTabId } });
+    };
+
+    if (config.leaderElection) {
+      electLeader(`${config.channelName}-leader`, (isLeader) => {
+        store.dispatch(setLeaderTab(isLeader));
+      });
+    }
+
+    return (next) => (action) => {
+      const stateBefore = store.getState();
+      const result = next(action);
+
+      // Actions that changed nothing, like an undo with nothing to undo,
+      // aren't sent: the other tabs would apply them to their own state
+      if (!action.meta?.remote && shouldSync(action.type) && store.getState() !== stateBefore) {
+        // Only type and payload cross the channel; thunk meta carries the
+        // original arguments, which may include credentials
+        channel.postMessage({
+          sourceTabId: tabId,
+          action: { type: action.type, payload: action.payload },
+        });
+      }
+
+      return result;
+    };
+  };
+};
@@ -0,0 +1,27 @@
+import { createActionMatcher } from './middlewareUtils';
+
+// ============================================================================
+// TIMESTAMP MIDDLEWARE
+// ============================================================================
+export const defaultTimestampOptions = {
+  // Action type patterns that get a meta.timestamp
+  actions: [],
+  now: () => Date.now(),
+};
+
+// Stamps the listed actions with `meta.timestamp` (ms from `now`), so
+// reducers that depend on time, like undo grouping, stay pure. Actions that
+// already carry one, e.g. from a recording being replayed, keep it.
+export const createTimestampMiddleware = (options = {}) => {
+  const config = { ...defaultTimestampOptions, ...options };
+  const isStamped = createActionMatcher(config.actions);
+
+  return () => (next) => (action) => {
+    if (typeof action?.type !== 'string' || !isStamped(action.type) ||
+      action.meta?.timestamp !== undefined) {
+      return next(action);
+    }
+
+    return next({ ...action, meta: { ...action.meta, timestamp: config.now() } });
+  };
+};
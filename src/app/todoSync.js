@@ -0,0 +1,243 @@
+import { isAnyOf } from '@reduxjs/toolkit';
+import {
+  addTodo,
+  updateTodo,
+  importTodos,
+  toggleTodo,
+  deleteTodo,
+  addSubtask,
+  toggleSubtask,
+  removeSubtask,
+  completeSelected,
+  uncompleteSelected,
+  deleteSelected,
+  clearCompleted,
+  todoSyncStarted,
+  todoSyncSucceeded,
+  todoIdAssigned,
+  todoSyncFailed,
+  retryTodoSync,
+  undoTodos,
+  redoTodos,
+} from '../features/todoSlice';
+import { todosApi } from '../features/todosApi';
+import { addNotification } from '../features/uiSlice';
+import { toServerTodo } from '../features/todoModel';
+import { isTempId } from '../features/tempIds';
+import { getErrorMessage } from './errorMiddleware';
+
+const { createTodo, updateTodo: putTodo, deleteTodo: removeTodo } = todosApi.endpoints;
+
+// Rejected todo mutations; the sync listener reports these itself with a
+// Retry action, so the error middleware can skip them
+export const isTodoSyncRejection = isAnyOf(
+  createTodo.matchRejected,
+  putTodo.matchRejected,
+  removeTodo.matchRejected,
+);
+
+const OPERATION_VERBS = {
+  create: 'save',
+  update: 'update',
+  delete: 'delete',
+};
+
+const findTodo = (state, id) => state.todos.entities[id];
+
+// ============================================================================
+// SYNC
+// ============================================================================
+
+// Swaps a created todo's temporary id for the server's and returns the id
+// it ends up with. That stays temporary if the server's id was taken; a todo
+// deleted in the meantime goes by the server's, so the delete reaches it.
+// Todos that already have a server id (e.g. re-created by undo) keep it.
+const assignServerId = (id, created, { dispatch, getState }, latest) => {
+  const serverId = created?.id;
+  if (!isTempId(id) || serverId === undefined || serverId === null) return id;
+
+  dispatch(todoIdAssigned({ id, serverId }));
+  const finalId = findTodo(getState(), id) ? id : serverId;
+
+  // Requests still waiting on this create now answer to the new id
+  if (finalId !== id && latest.has(id)) {
+    latest.set(finalId, latest.get(id));
+    latest.delete(id);
+  }
+  return finalId;
+};
+
+// Sends one optimistic change to the server. `previous` is the todo before
+// the change and is restored if the request fails. `latest` maps todo ids to
+// their most recent request, and `creating` maps temporary ids to a promise
+// for the id the todo has once its create is done.
+const syncChange = async (change, listenerApi, { latest, creating }) => {
+  const { dispatch, getState } = listenerApi;
+  const { previous } = change;
+  let { id, operation } = change;
+
+  // A newer local change to the same todo has its own request in flight,
+  // and its outcome decides the marker
+  const token = {};
+  latest.set(id, token);
+  const isSuperseded = () => latest.get(id) !== token;
+
+  if (operation !== 'delete') {
+    dispatch(todoSyncStarted({ id }));
+  }
+
+  // Changes to a todo that is still being created wait for its server id
+  if (creating.has(id)) {
+    id = await creating.get(id);
+  }
+
+  // A todo with a temporary id isn't on the server yet: edits create it,
+  // and deleting it needs no request
+  if (isTempId(id) && operation !== 'create') {
+    if (operation === 'delete') {
+      if (!isSuperseded()) latest.delete(id);
+      return;
+    }
+    operation = 'create';
+  }
+
+  let sent = null;
+  let request;
+  if (operation === 'delete') {
+    request = removeTodo.initiate(id);
+  } else {
+    sent = findTodo(getState(), id);
+    if (!sent) return;
+    request = operation === 'create'
+      ? createTodo.initiate(toServerTodo(sent))
+      : putTodo.initiate(toServerTodo(sent));
+  }
+
+  const pending = dispatch(request).unwrap();
+  if (operation === 'create' && isTempId(id)) {
+    const tempId = id;
+    const created = pending.then(
+      result => assignServerId(tempId, result, listenerApi, latest),
+      () => tempId,
+    );
+    creating.set(tempId, created);
+    id = await created;
+    if (creating.get(tempId) === created) creating.delete(tempId);
+  }
+
+  try {
+    await pending;
+    if (isSuperseded()) return;
+    latest.delete(id);
+    if (operation !== 'delete') {
+      dispatch(todoSyncSucceeded({ id }));
+    }
+  } catch (error) {
+    if (isSuperseded()) return;
+    latest.delete(id);
+
+    const message = getErrorMessage(error);
+    const title = (sent || previous)?.title;
+    dispatch(todoSyncFailed({
+      id,
+      operation,
+      error: message,
+      // A todo created in the meantime keeps its server id
+      previous: previous && { ...previous, id },
+      attempted: operation === 'update' ? toServerTodo(sent) : undefined,
+    }));
+    dispatch(addNotification({
+      type: 'error',
+      title: 'Sync Failed',
+      message: `Couldn't ${OPERATION_VERBS[operation]} "${title}": ${message}`,
+      actionButton: { label: 'Retry', action: retryTodoSync(id) },
+    }));
+  }
+};
+
+// ============================================================================
+// LISTENERS
+// ============================================================================
+
+// Requests for the difference between two todos states: new todos are
+// created, missing ones deleted and changed ones updated
+const diffTodos = (before, after) => {
+  const changes = [];
+
+  before.ids.forEach(id => {
+    if (!after.entities[id]) {
+      changes.push({ id, operation: 'delete', previous: before.entities[id] });
+    }
+  });
+  after.ids.forEach(id => {
+    const previous = before.entities[id];
+    if (!previous) {
+      changes.push({ id, operation: 'create' });
+    } else if (previous !== after.entities[id]) {
+      changes.push({ id, operation: 'update', previous });
+    }
+  });
+  return changes;
+};
+
+// Actions that edit todos. Subtasks are saved as part of their todo, and
+// completing a recurring todo also creates its next occurrence. Undo and redo
+// are sent as whatever they changed, e.g. undoing a delete creates the todo
+// again. Reordering only changes the local `order`, so it isn't sent.
+const isTodoEdit = isAnyOf(
+  addTodo,
+  updateTodo,
+  importTodos,
+  toggleTodo,
+  deleteTodo,
+  addSubtask,
+  toggleSubtask,
+  removeSubtask,
+  completeSelected,
+  uncompleteSelected,
+  deleteSelected,
+  clearCompleted,
+  undoTodos,
+  redoTodos,
+);
+
+// Local todo changes are applied right away and then saved to the server;
+// failures roll back and can be retried. Changes replayed from other tabs
+// were already sent by the tab that made them. Returns a function that
+// removes the listeners again.
+export const registerTodoSync = (startListening) => {
+  const requests = { latest: new Map(), creating: new Map() };
+  const sync = (change, listenerApi) => syncChange(change, listenerApi, requests);
+
+  const unsubscribers = [
+    startListening({
+      matcher: isTodoEdit,
+      effect: (action, listenerApi) => {
+        if (action.meta?.remote) return;
+
+        const changes = diffTodos(
+          listenerApi.getOriginalState().todos,
+          listenerApi.getState().todos,
+        );
+        return Promise.all(changes.map(change => sync(change, listenerApi)));
+      },
+    }),
+    startListening({
+      actionCreator: retryTodoSync,
+      effect: (action, listenerApi) => {
+        if (action.meta?.remote) return;
+
+        const failed = findTodo(listenerApi.getOriginalState(), action.payload);
+        if (!failed?.failedSync) return;
+
+        return sync({
+          id: failed.id,
+          operation: failed.failedSync.operation,
+          previous: failed,
+        }, listenerApi);
+      },
+    }),
+  ];
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
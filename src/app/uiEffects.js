@@ -0,0 +1,63 @@
+import { isAnyOf } from '@reduxjs/toolkit';
+import {
+  setTheme,
+  toggleTheme,
+  updatePreferences,
+  resetPreferences,
+} from '../features/uiSlice';
+
+export const UI_STORAGE_KEYS = {
+  theme: 'theme',
+  preferences: 'uiPreferences',
+};
+
+// Reads saved UI settings; dispatch the result with `hydrateUI`
+export const loadUIState = (storage) => {
+  const saved = {};
+
+  const theme = storage.getItem(UI_STORAGE_KEYS.theme);
+  if (theme) {
+    saved.theme = theme;
+  }
+
+  const preferences = storage.getItem(UI_STORAGE_KEYS.preferences);
+  if (preferences) {
+    try {
+      saved.preferences = JSON.parse(preferences);
+    } catch (error) {
+      console.error('Failed to parse saved UI preferences:', error);
+    }
+  }
+
+  return saved;
+};
+
+// Registers the storage effects for UI actions and returns a function that
+// removes them again
+export const registerUIEffects = (startListening, storage) => {
+  const unsubscribers = [
+    startListening({
+      matcher: isAnyOf(setTheme, toggleTheme),
+      effect: (action, listenerApi) => {
+        storage.setItem(UI_STORAGE_KEYS.theme, listenerApi.getState().ui.theme);
+      },
+    }),
+    startListening({
+      actionCreator: updatePreferences,
+      effect: (action, listenerApi) => {
+        storage.setItem(
+          UI_STORAGE_KEYS.preferences,
+          JSON.stringify(listenerApi.getState().ui.preferences)
+        );
+      },
+    }),
+    startListening({
+      actionCreator: resetPreferences,
+      effect: () => {
+        storage.removeItem(UI_STORAGE_KEYS.preferences);
+      },
+    }),
+  ];
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { useCounter, useCounters } from '../hooks/useRedux';
+import { DEFAULT_COUNTER_ID } from '../features/counterSlice';
+
+const smallButton = { padding: '6px 12px', fontSize: '12px' };
+
+const EMPTY_COUNTER = { name: '', step: '1', min: '', max: '' };
+
+// Bounds are optional: an empty input means unbounded
+const toBoundInput = (bound) => bound === null ? '' : String(bound);
+
+// The counter's recent values as a line scaled to the box
+function Sparkline({ values, width = 160, height = 36 }) {
+  if (values.length < 2) {
+    return <svg className="counter-sparkline" width={width} height={height} aria-hidden="true" />;
+  }
+
+  const low = Math.min(...values);
+  const range = Math.max(...values) - low || 1;
+  const points = values.map((value, index) => {
+    const x = (index / (values.length - 1)) * width;
+    const y = height - 2 - ((value - low) / range) * (height - 4);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  return (
+    <svg className="counter-sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`} aria-hidden="true">
+      <polyline points={points.join(' ')} fill="none" stroke="currentColor" strokeWidth="2" />
+    </svg>
+  );
+}
+
+function CounterCard({ id }) {
+  const counter = useCounter(id);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(EMPTY_COUNTER);
+  if (!counter.counter) return null;
+  const { name, step, min, max } = counter.counter;
+
+  const startEditing = () => {
+    setForm({ name, step: String(step), min: toBoundInput(min), max: toBoundInput(max) });
+    setEditing(true);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    counter.configure(form);
+    setEditing(false);
+  };
+
+  const bounds = [min !== null && `min ${min}`, max !== null && `max ${max}`].filter(Boolean).join(' · ');
+
+  return (
+    <div className="counter-card">
+      <div className="counter-card-header">
+        <h3>{name}</h3>
+        <span className="counter-card-meta">
+          step {step}{bounds && ` · ${bounds}`} · {counter.isEven ? 'even' : 'odd'}
+        </span>
+      </div>
+      <div className="counter-display">{counter.value}</div>
+      <Sparkline values={counter.sparkline} />
+      <div className="button-group">
+        <button className="btn-primary" onClick={counter.increment} disabled={!counter.canIncrement}>
+          +{step}
+        </button>
+        <button className="btn-secondary" onClick={counter.decrement} disabled={!counter.canDecrement}>
+          -{step}
+        </button>
+        <button className="btn-secondary" onClick={() => counter.incrementAsync()} disabled={!counter.canIncrement}>
+          {counter.isPending ? 'Adding…' : `+${step} later`}
+        </button>
+        <button className="btn-danger" onClick={counter.reset}>
+          Reset
+        </button>
+      </div>
+      <div className="button-group">
+        <button className="btn-secondary" style={smallButton} onClick={editing ? () => setEditing(false) : startEditing}>
+          {editing ? 'Cancel' : 'Settings'}
+        </button>
+        {id !== DEFAULT_COUNTER_ID && (
+          <button className="btn-danger" style={smallButton} onClick={counter.remove}>
+            Remove
+          </button>
+        )}
+      </div>
+      {editing && (
+        <CounterFields value={form} onChange={setForm} onSubmit={handleSave} submitLabel="Save" />
+      )}
+    </div>
+  );
+}
+
+function CounterFields({ value, onChange, onSubmit, submitLabel }) {
+  const field = (key) => (e) => onChange({ ...value, [key]: e.target.value });
+
+  return (
+    <form className="counter-form" onSubmit={onSubmit}>
+      <input type="text" placeholder="Name" value={value.name} onChange={field('name')} />
+      <input type="number" min="1" title="Step" placeholder="Step" value={value.step} onChange={field('step')} />
+      <input type="number" title="Minimum" placeholder="Min" value={value.min} onChange={field('min')} />
+      <input type="number" title="Maximum" placeholder="Max" value={value.max} onChange={field('max')} />
+      <button type="submit" className="btn-primary" style={smallButton}>
+        {submitLabel}
+      </button>
+    </form>
+  );
+}
+
+/**
+ * Every counter with its controls and a sparkline of its recent values, plus
+ * a form for adding named counters.
+ */
+export default function CountersSection() {
+  const { counters, addCounter } = useCounters();
+  const [draft, setDraft] = useState(EMPTY_COUNTER);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!draft.name.trim()) return;
+    addCounter(draft);
+    setDraft(EMPTY_COUNTER);
+  };
+
+  return (
+    <section className="section">
+      <h2>Counters</h2>
+      <div className="counters-grid">
+        {counters.map(counter => (
+          <CounterCard key={counter.id} id={counter.id} />
+        ))}
+      </div>
+      <CounterFields value={draft} onChange={setDraft} onSubmit={handleAdd} submitLabel="Add counter" />
+    </section>
+  );
+}
@@ -0,0 +1,70 @@
+import React from 'react';
+import { usePerfStats } from '../hooks/useRedux';
+import { selectSlowestActions, selectBusiestSelectors } from '../app/perfMonitor';
+
+const formatMs = (ms) => `${ms.toFixed(2)} ms`;
+
+/**
+ * Floating panel with the store's perf stats: dispatch rate, the slowest
+ * action types, the most recomputed selectors and recent budget violations.
+ */
+export default function PerfOverlay({ onClose }) {
+  const { isAvailable, stats, reset } = usePerfStats();
+
+  if (!isAvailable || !stats) return null;
+
+  const slowestActions = selectSlowestActions(stats);
+  const busiestSelectors = selectBusiestSelectors(stats);
+  const recentViolations = stats.violations.slice(-5).reverse();
+
+  return (
+    <aside className="perf-overlay">
+      <div className="perf-overlay-header">
+        <strong>Performance</strong>
+        <div>
+          <button className="btn-secondary" onClick={reset}>Reset</button>
+          <button className="notification-close" onClick={onClose}>×</button>
+        </div>
+      </div>
+
+      <p>
+        {stats.dispatches} dispatches · {stats.dispatchesPerSecond}/s
+        (peak {stats.peakDispatchesPerSecond}/s, budget {stats.budgets.dispatchesPerSecond}/s)
+      </p>
+
+      <h4>Slowest reducers (avg / max)</h4>
+      <ul>
+        {slowestActions.map(action => (
+          <li key={action.type} className={action.overBudget ? 'perf-over-budget' : ''}>
+            <span>{action.type} ×{action.count}</span>
+            <span>{formatMs(action.reducerAvgMs)} / {formatMs(action.reducerMaxMs)}</span>
+          </li>
+        ))}
+      </ul>
+
+      <h4>Selector recomputes</h4>
+      <ul>
+        {busiestSelectors.map(selector => (
+          <li key={selector.name} className={selector.overBudget ? 'perf-over-budget' : ''}>
+            <span>{selector.name}</span>
+            <span>{selector.recomputations} ({selector.perDispatch.toFixed(2)}/dispatch)</span>
+          </li>
+        ))}
+      </ul>
+
+      {recentViolations.length > 0 && (
+        <>
+          <h4>Over budget</h4>
+          <ul>
+            {recentViolations.map(violation => (
+              <li key={`${violation.kind}-${violation.name}-${violation.timestamp}`} className="perf-over-budget">
+                <span>{violation.kind}: {violation.name}</span>
+                <span>{violation.value.toFixed(2)} &gt; {violation.budget}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+import { useStore } from 'react-redux';
+import { usePosts } from '../hooks/usePosts';
+import { useNotifications } from '../hooks/useRedux';
+import { undoPosts } from '../features/postsSlice';
+import { selectPostsUndoStep } from '../features/selectors';
+
+/**
+ * Posts section, loaded with React.lazy from App. Importing it injects the
+ * posts slice, so posts code is only downloaded once a user has logged in.
+ */
+export default function PostsSection() {
+  const posts = usePosts();
+  const notifications = useNotifications();
+  const store = useStore();
+  const [newPost, setNewPost] = useState({ title: '', body: '' });
+  const [searchTerm, setSearchTerm] = useState('');
+
+  // Posts may already be loaded, e.g. prefetched by the SSR server
+  const { status, fetchPosts } = posts;
+  useEffect(() => {
+    if (status === 'idle') {
+      fetchPosts();
+    }
+  }, [status, fetchPosts]);
+
+  // Undo reverts this deletion only, not whatever happens after it
+  const handleDeletePost = (id) => {
+    const stepBefore = selectPostsUndoStep(store.getState());
+    posts.deletePost(id)
+      .unwrap()
+      .then(() => {
+        const step = selectPostsUndoStep(store.getState());
+        if (step !== null && step !== stepBefore) {
+          notifications.showUndo('Post deleted', undoPosts(step));
+        }
+      })
+      // Failures are reported by the error middleware
+      .catch(() => {});
+  };
+
+  const handleCreatePost = (e) => {
+    e.preventDefault();
+    if (newPost.title.trim() && newPost.body.trim()) {
+      posts.createPost(newPost);
+      setNewPost({ title: '', body: '' });
+      notifications.showSuccess('Post created successfully!');
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    posts.setSearchFilter(searchTerm);
+    notifications.showInfo(`Searching for: ${searchTerm}`);
+  };
+
+  return (
+    <section className="section">
+      <h2>Posts</h2>
+      
+      {/* Search */}
+      <form className="search-form" onSubmit={handleSearch}>
+        <input
+          type="text"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="Search posts..."
+        />
+        <button type="submit" className="btn-primary">Search</button>
+      </form>
+
+      {/* Create Post */}
+      <form className="post-form" onSubmit={handleCreatePost}>
+        <input
+          type="text"
+          value={newPost.title}
+          onChange={(e) => setNewPost({ ...newPost, title: e.target.value })}
+          placeholder="Post title..."
+        />
+        <textarea
+          value={newPost.body}
+          onChange={(e) => setNewPost({ ...newPost, body: e.target.value })}
+          placeholder="Post content..."
+          rows="3"
+        />
+        <button type="submit" className="btn-success">Create Post</button>
+      </form>
+
+      {posts.status === 'loading' && <div className="loading">Loading posts...</div>}
+      
+      {posts.posts.length > 0 && (
+        <div className="posts-grid">
+          {posts.posts.slice(0, 5).map(post => (
+            <div key={post.id} className="post-card">
+              <h3>{post.title}</h3>
+              <p>{post.body.substring(0, 100)}...</p>
+              <div className="post-actions">
+                <button 
+                  className="btn-secondary"
+                  onClick={() => posts.toggleFavorite(post.id)}
+                >
+                  {posts.favorites.includes(post.id) ? '❤️' : '🤍'} Favorite
+                </button>
+                <button 
+                  className="btn-danger"
+                  onClick={() => handleDeletePost(post.id)}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
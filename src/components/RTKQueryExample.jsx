@@ -1,11 +1,11 @@
 import React from 'react';
 import { 
   useGetPostsQuery, 
-  useGetUsersQuery, 
   useCreatePostMutation,
   useUpdatePostMutation,
   useDeletePostMutation 
-} from '../features/apiSlice';
+} from '../features/postsApi';
+import { useGetUsersQuery } from '../features/usersApi';
 
 /**
  * Example component demonstrating RTK Query usage
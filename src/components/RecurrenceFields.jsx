@@ -0,0 +1,75 @@
+import React from 'react';
+import { RECURRENCE_FREQUENCIES, WEEKDAY_LABELS } from '../features/recurrence';
+
+const FREQUENCY_LABELS = {
+  daily: 'Repeats daily',
+  weekly: 'Repeats weekly',
+  monthly: 'Repeats monthly',
+  interval: 'Repeats every N days',
+};
+
+/**
+ * Inputs for a recurrence rule. `value` is a rule or null ("doesn't repeat");
+ * `onChange` gets the same. Weekly rules without weekdays, and monthly rules,
+ * follow the todo's due date.
+ */
+export default function RecurrenceFields({ value, onChange }) {
+  const frequency = value?.frequency ?? '';
+
+  const handleFrequencyChange = (e) => {
+    const next = e.target.value;
+    if (!next) {
+      onChange(null);
+    } else if (next === 'weekly') {
+      onChange({ frequency: next, weekdays: [] });
+    } else if (next === 'interval') {
+      onChange({ frequency: next, interval: 2 });
+    } else {
+      onChange({ frequency: next });
+    }
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(item => item !== day)
+      : [...value.weekdays, day].sort((a, b) => a - b);
+    onChange({ ...value, weekdays });
+  };
+
+  return (
+    <div className="recurrence-fields">
+      <select value={frequency} onChange={handleFrequencyChange} title="Repeat">
+        <option value="">Doesn't repeat</option>
+        {RECURRENCE_FREQUENCIES.map(option => (
+          <option key={option} value={option}>{FREQUENCY_LABELS[option]}</option>
+        ))}
+      </select>
+      {frequency === 'weekly' && (
+        <div className="recurrence-weekdays" role="group" aria-label="Weekdays">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <label key={label}>
+              <input
+                type="checkbox"
+                checked={value.weekdays.includes(day)}
+                onChange={() => toggleWeekday(day)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+      {frequency === 'interval' && (
+        <label className="recurrence-interval">
+          Every
+          <input
+            type="number"
+            min="1"
+            value={value.interval}
+            onChange={(e) => onChange({ ...value, interval: Number(e.target.value) })}
+          />
+          days
+        </label>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React from 'react';
+
+/**
+ * Select-all checkbox and bulk actions for the selected todos. Shift-click a
+ * todo's checkbox to select a range.
+ */
+export default function TodoBulkToolbar({
+  summary,
+  allVisibleSelected,
+  completedCount,
+  onSelectAllVisible,
+  onClearSelection,
+  onCompleteSelected,
+  onUncompleteSelected,
+  onDeleteSelected,
+  onClearCompleted,
+}) {
+  const buttonStyle = { padding: '6px 12px', fontSize: '12px' };
+
+  return (
+    <div className="todo-bulk-toolbar" role="toolbar" aria-label="Bulk todo actions">
+      <label className="todo-bulk-select">
+        <input
+          type="checkbox"
+          checked={allVisibleSelected}
+          onChange={allVisibleSelected ? onClearSelection : onSelectAllVisible}
+        />
+        {summary.count > 0 ? `${summary.count} selected` : 'Select all'}
+      </label>
+      {summary.count > 0 && (
+        <>
+          <button className="btn-success" style={buttonStyle} onClick={onCompleteSelected} disabled={summary.active === 0}>
+            Complete
+          </button>
+          <button className="btn-secondary" style={buttonStyle} onClick={onUncompleteSelected} disabled={summary.completed === 0}>
+            Reopen
+          </button>
+          <button className="btn-danger" style={buttonStyle} onClick={onDeleteSelected}>
+            Delete
+          </button>
+          <button className="btn-secondary" style={buttonStyle} onClick={onClearSelection}>
+            Deselect
+          </button>
+        </>
+      )}
+      <button
+        className="btn-secondary todo-bulk-clear"
+        style={buttonStyle}
+        onClick={onClearCompleted}
+        disabled={completedCount === 0}
+      >
+        Clear completed ({completedCount})
+      </button>
+    </div>
+  );
+}
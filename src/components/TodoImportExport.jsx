@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { TODO_TRANSFER_FORMATS, TODO_DEDUPE_KEYS } from '../features/todoTransfer';
+
+const FORMAT_LABELS = {
+  json: 'JSON',
+  csv: 'CSV',
+  markdown: 'Markdown',
+};
+
+const smallButton = { padding: '6px 12px', fontSize: '12px' };
+
+/**
+ * Export buttons and an import form. Imports are previewed first (what will
+ * be added, skipped as duplicates, or rejected as invalid) and only applied
+ * with `onImport(todos)` once confirmed.
+ */
+export default function TodoImportExport({ onExport, onPreview, onImport }) {
+  const [text, setText] = useState('');
+  const [filename, setFilename] = useState('');
+  const [format, setFormat] = useState('');
+  const [dedupeBy, setDedupeBy] = useState('title');
+  const [preview, setPreview] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setText(await file.text());
+    setFilename(file.name);
+    setPreview(null);
+  };
+
+  const handlePreview = (e) => {
+    e.preventDefault();
+    setPreview(onPreview(text, { format, filename, dedupeBy }));
+  };
+
+  const handleImport = () => {
+    onImport(preview.toAdd);
+    setText('');
+    setFilename('');
+    setPreview(null);
+  };
+
+  return (
+    <div className="todo-transfer">
+      <div className="todo-transfer-row">
+        <span>Export:</span>
+        {TODO_TRANSFER_FORMATS.map(option => (
+          <button key={option} className="btn-secondary" style={smallButton} onClick={() => onExport(option)}>
+            {FORMAT_LABELS[option]}
+          </button>
+        ))}
+      </div>
+
+      <form className="todo-transfer-import" onSubmit={handlePreview}>
+        <div className="todo-transfer-row">
+          <span>Import:</span>
+          <input type="file" accept=".json,.csv,.md,.txt" onChange={handleFile} />
+          <select value={format} onChange={(e) => setFormat(e.target.value)} title="Format">
+            <option value="">Detect format</option>
+            {TODO_TRANSFER_FORMATS.map(option => (
+              <option key={option} value={option}>{FORMAT_LABELS[option]}</option>
+            ))}
+          </select>
+          <select value={dedupeBy} onChange={(e) => setDedupeBy(e.target.value)} title="Skip duplicates by">
+            {TODO_DEDUPE_KEYS.map(key => (
+              <option key={key} value={key}>Skip same {key}</option>
+            ))}
+          </select>
+        </div>
+        <textarea
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setFilename('');
+            setPreview(null);
+          }}
+          placeholder="...or paste JSON, CSV or a - [ ] checklist"
+          rows="4"
+        />
+        <button type="submit" className="btn-secondary" style={smallButton} disabled={!text.trim()}>
+          Preview import
+        </button>
+      </form>
+
+      {preview && (
+        <div className="todo-transfer-preview">
+          <p>
+            {preview.toAdd.length} to add · {preview.duplicates.length} duplicates skipped ·{' '}
+            {preview.invalid.length} invalid
+          </p>
+          {preview.toAdd.length > 0 && (
+            <ul>
+              {preview.toAdd.map((todo, index) => (
+                <li key={index}>{todo.completed ? '☑' : '☐'} {todo.title}</li>
+              ))}
+            </ul>
+          )}
+          {preview.duplicates.length > 0 && (
+            <ul className="todo-transfer-skipped">
+              {preview.duplicates.map(({ line, todo }) => (
+                <li key={line}>Row {line}: "{todo.title}" already exists</li>
+              ))}
+            </ul>
+          )}
+          {preview.invalid.length > 0 && (
+            <ul className="todo-transfer-errors">
+              {preview.invalid.map(({ line, message }, index) => (
+                <li key={index}>{line === null ? message : `Row ${line}: ${message}`}</li>
+              ))}
+            </ul>
+          )}
+          <div className="todo-transfer-row">
+            <button className="btn-success" style={smallButton} onClick={handleImport} disabled={preview.toAdd.length === 0}>
+              Import {preview.toAdd.length} {preview.toAdd.length === 1 ? 'todo' : 'todos'}
+            </button>
+            <button className="btn-secondary" style={smallButton} onClick={() => setPreview(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
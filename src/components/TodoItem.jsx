@@ -0,0 +1,248 @@
+import React, { useState } from 'react';
+import { TODO_PRIORITIES, getSubtaskProgress } from '../features/todoModel';
+import { describeRecurrence } from '../features/recurrence';
+import RecurrenceFields from './RecurrenceFields';
+
+const toDraft = (todo) => ({
+  title: todo.title,
+  description: todo.description || '',
+  dueDate: todo.dueDate || '',
+  priority: todo.priority,
+  tags: (todo.tags || []).join(', '),
+  recurrence: todo.recurrence || null,
+});
+
+const SYNC_BADGES = {
+  pending: { label: 'Saving…', className: 'badge-sync-pending' },
+  synced: { label: '✓ Saved', className: 'badge-sync-synced' },
+  failed: { label: '⚠ Not saved', className: 'badge-sync-failed' },
+};
+
+/**
+ * A todo row with priority, due date, tag and server sync badges. Click the
+ * title to toggle it and press Edit to edit it inline; Escape cancels. Failed
+ * syncs get a Retry button. `dragHandleProps` (from TodoList) adds a reorder
+ * handle.
+ * Subtasks show as an expandable checklist under the title. The checkbox
+ * selects the todo for bulk actions; `onSelect(id, range)` gets range = true
+ * on shift-click.
+ */
+export default function TodoItem({
+  todo,
+  today,
+  dragHandleProps,
+  dragState,
+  isSelected,
+  onSelect,
+  onToggle,
+  onUpdate,
+  onDelete,
+  onRetrySync,
+  onAddSubtask,
+  onToggleSubtask,
+  onRemoveSubtask,
+}) {
+  const [draft, setDraft] = useState(null);
+  const [isExpanded, setExpanded] = useState(false);
+  const [subtaskTitle, setSubtaskTitle] = useState('');
+  const isEditing = draft !== null;
+  const syncBadge = SYNC_BADGES[todo.syncStatus];
+  const subtasks = todo.subtasks || [];
+  const progress = getSubtaskProgress(todo);
+
+  const isOverdue = !todo.completed && todo.dueDate && todo.dueDate < today;
+  const isDueToday = todo.dueDate === today;
+
+  const handleChange = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!draft.title.trim()) return;
+    onUpdate(todo.id, draft);
+    setDraft(null);
+  };
+
+  const handleAddSubtask = (e) => {
+    e.preventDefault();
+    if (!subtaskTitle.trim()) return;
+    onAddSubtask(todo.id, subtaskTitle);
+    setSubtaskTitle('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setDraft(null);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <li className="todo-item todo-item-editing" data-todo-id={todo.id}>
+        <form className="todo-edit-form" onSubmit={handleSave} onKeyDown={handleKeyDown}>
+          <input
+            type="text"
+            value={draft.title}
+            onChange={handleChange('title')}
+            placeholder="Title"
+            autoFocus
+          />
+          <textarea
+            value={draft.description}
+            onChange={handleChange('description')}
+            placeholder="Description"
+            rows="2"
+          />
+          <div className="todo-edit-row">
+            <input type="date" value={draft.dueDate} onChange={handleChange('dueDate')} />
+            <select value={draft.priority} onChange={handleChange('priority')}>
+              {TODO_PRIORITIES.map(priority => (
+                <option key={priority} value={priority}>{priority}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={draft.tags}
+              onChange={handleChange('tags')}
+              placeholder="Tags, comma separated"
+            />
+          </div>
+          <div className="todo-edit-row">
+            <RecurrenceFields
+              value={draft.recurrence}
+              onChange={(recurrence) => setDraft({ ...draft, recurrence })}
+            />
+          </div>
+          <div className="todo-edit-row">
+            <button type="submit" className="btn-success">Save</button>
+            <button type="button" className="btn-secondary" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </li>
+    );
+  }
+
+  return (
+    <li
+      className={`todo-item ${dragState ? `todo-item-${dragState}` : ''} ${isSelected ? 'todo-item-selected' : ''}`}
+      data-todo-id={todo.id}
+    >
+      {onSelect && (
+        <input
+          type="checkbox"
+          className="todo-select"
+          checked={Boolean(isSelected)}
+          // Checkbox changes come from click events, which carry shiftKey
+          onChange={(e) => onSelect(todo.id, e.nativeEvent.shiftKey)}
+          aria-label={`Select "${todo.title}"`}
+        />
+      )}
+      {dragHandleProps && (
+        <button type="button" className="todo-drag-handle" {...dragHandleProps}>
+          ⋮⋮
+        </button>
+      )}
+      <div className="todo-body">
+        <span 
+          className={`todo-text ${todo.completed ? 'completed' : ''}`}
+          onClick={() => onToggle(todo.id)}
+          title="Click to toggle"
+        >
+          {todo.title}
+        </span>
+        {todo.description && <p className="todo-description">{todo.description}</p>}
+        <div className="todo-badges">
+          <span className={`badge badge-priority-${todo.priority}`}>{todo.priority}</span>
+          {todo.dueDate && (
+            <span className={`badge ${isOverdue ? 'badge-overdue' : isDueToday ? 'badge-due-today' : ''}`}>
+              {isOverdue ? 'Overdue · ' : isDueToday ? 'Due today · ' : 'Due '}{todo.dueDate}
+            </span>
+          )}
+          {todo.recurrence && (
+            <span className="badge badge-recurring">🔁 {describeRecurrence(todo.recurrence)}</span>
+          )}
+          {(todo.tags || []).map(tag => (
+            <span key={tag} className="badge badge-tag">#{tag}</span>
+          ))}
+          {syncBadge && (
+            <span className={`badge ${syncBadge.className}`} title={todo.syncError || undefined}>
+              {syncBadge.label}
+            </span>
+          )}
+        </div>
+        <button
+          type="button"
+          className="todo-subtasks-toggle"
+          aria-expanded={isExpanded}
+          onClick={() => setExpanded(!isExpanded)}
+        >
+          {isExpanded ? '▾' : '▸'}{' '}
+          {progress.total > 0 ? `${progress.completed}/${progress.total} subtasks` : 'Add subtasks'}
+        </button>
+        {isExpanded && (
+          <div className="todo-subtasks">
+            {subtasks.length > 0 && (
+              <ul className="todo-subtask-list">
+                {subtasks.map(subtask => (
+                  <li key={subtask.id} className="todo-subtask">
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={subtask.completed}
+                        onChange={() => onToggleSubtask(todo.id, subtask.id)}
+                      />
+                      <span className={subtask.completed ? 'completed' : ''}>{subtask.title}</span>
+                    </label>
+                    <button
+                      type="button"
+                      className="todo-subtask-remove"
+                      onClick={() => onRemoveSubtask(todo.id, subtask.id)}
+                      aria-label={`Remove subtask "${subtask.title}"`}
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <form className="todo-subtask-form" onSubmit={handleAddSubtask}>
+              <input
+                type="text"
+                value={subtaskTitle}
+                onChange={(e) => setSubtaskTitle(e.target.value)}
+                placeholder="Add a subtask..."
+              />
+              <button type="submit" className="btn-secondary">Add</button>
+            </form>
+          </div>
+        )}
+      </div>
+      <div className="todo-actions">
+        {todo.syncStatus === 'failed' && (
+          <button 
+            className="btn-primary"
+            onClick={() => onRetrySync(todo.id)}
+            style={{ padding: '8px 16px', fontSize: '12px' }}
+          >
+            Retry
+          </button>
+        )}
+        <button 
+          className="btn-secondary"
+          onClick={() => setDraft(toDraft(todo))}
+          style={{ padding: '8px 16px', fontSize: '12px' }}
+        >
+          Edit
+        </button>
+        <button 
+          className="btn-danger"
+          onClick={() => onDelete(todo.id)}
+          style={{ padding: '8px 16px', fontSize: '12px' }}
+        >
+          Delete
+        </button>
+      </div>
+    </li>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from 'react';
+import TodoItem from './TodoItem';
+
+/**
+ * The todo list with drag-and-drop reordering. Drag a row by its handle
+ * (pointer events, so mouse, touch and pen all work), or focus the handle and
+ * press ArrowUp/ArrowDown to move it one place. `onMove(id, targetId)` moves a
+ * todo to where the target todo is. Without `canReorder` the handles are
+ * hidden, e.g. while the list is sorted by something else. Other props
+ * (onToggle, onSelect, ...) are passed to each TodoItem.
+ */
+export default function TodoList({ todos, today, canReorder, onMove, selectedIds = [], ...itemHandlers }) {
+  const listRef = useRef(null);
+  const selected = new Set(selectedIds);
+  const [drag, setDrag] = useState(null); // { id, overId }
+  const [focusId, setFocusId] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  // Keep focus on the moved todo's handle after a keyboard move
+  useEffect(() => {
+    if (focusId === null || !listRef.current) return;
+    const handle = listRef.current.querySelector(`[data-reorder-handle="${focusId}"]`);
+    if (handle && document.activeElement !== handle) {
+      handle.focus();
+    }
+  }, [todos, focusId]);
+
+  const findTodoAt = (x, y) => {
+    const row = document.elementFromPoint(x, y)?.closest('[data-todo-id]');
+    if (!row || !listRef.current.contains(row)) return null;
+    return todos.find(todo => String(todo.id) === row.dataset.todoId) || null;
+  };
+
+  const moveBy = (todo, offset) => {
+    const index = todos.findIndex(item => item.id === todo.id);
+    const target = todos[index + offset];
+    if (!target) return;
+
+    onMove(todo.id, target.id);
+    setFocusId(todo.id);
+    setAnnouncement(`Moved "${todo.title}" to position ${index + offset + 1} of ${todos.length}`);
+  };
+
+  const getHandleProps = (todo) => ({
+    'data-reorder-handle': todo.id,
+    'aria-label': `Reorder "${todo.title}"`,
+    title: 'Drag to reorder, or use the arrow keys',
+    onPointerDown: (e) => {
+      if (e.button !== 0) return;
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setDrag({ id: todo.id, overId: todo.id });
+    },
+    onPointerMove: (e) => {
+      if (!drag) return;
+      const over = findTodoAt(e.clientX, e.clientY);
+      if (over && over.id !== drag.overId) {
+        setDrag({ ...drag, overId: over.id });
+      }
+    },
+    onPointerUp: () => {
+      if (!drag) return;
+      if (drag.overId !== drag.id) {
+        onMove(drag.id, drag.overId);
+        const index = todos.findIndex(item => item.id === drag.overId);
+        setAnnouncement(`Moved "${todo.title}" to position ${index + 1} of ${todos.length}`);
+      }
+      setDrag(null);
+    },
+    onPointerCancel: () => setDrag(null),
+    onKeyDown: (e) => {
+      if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        e.preventDefault();
+        moveBy(todo, e.key === 'ArrowUp' ? -1 : 1);
+      } else if (e.key === 'Escape' && drag) {
+        setDrag(null);
+      }
+    },
+    onBlur: () => setFocusId(null),
+  });
+
+  const getDragState = (todo) => {
+    if (!drag) return null;
+    if (drag.id === todo.id) return 'dragging';
+    return drag.overId === todo.id ? 'over' : null;
+  };
+
+  return (
+    <>
+      <ul className={`todo-list ${drag ? 'todo-list-dragging' : ''}`} ref={listRef}>
+        {todos.map(todo => (
+          <TodoItem
+            key={todo.id}
+            todo={todo}
+            today={today}
+            dragHandleProps={canReorder ? getHandleProps(todo) : null}
+            dragState={getDragState(todo)}
+            isSelected={selected.has(todo.id)}
+            {...itemHandlers}
+          />
+        ))}
+      </ul>
+      <div className="sr-only" aria-live="polite">{announcement}</div>
+    </>
+  );
+}
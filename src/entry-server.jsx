@@ -0,0 +1,70 @@
+import React from 'react';
+import { prerenderToNodeStream } from 'react-dom/static';
+import { Provider } from 'react-redux';
+import App from './App';
+import { makeStore } from './app/store';
+import { createMemoryStorage } from './app/storage';
+import { apiSlice } from './features/apiSlice';
+import { usersApi } from './features/usersApi';
+import { postsApi } from './features/postsApi';
+import { fetchTodos } from './features/todoSlice';
+import { fetchPosts } from './features/postsSlice';
+
+// Nothing to persist, sync, log or send on the server. The recorder, perf
+// monitor and analytics (without sinks) stay installed so the markup has the
+// same buttons and consent banner as the client's first render.
+const SERVER_MIDDLEWARE_OPTIONS = {
+  persistence: false,
+  sync: false,
+  logger: false,
+  todoSync: false,
+  sessionRefresh: false,
+  analytics: { sinks: [] },
+};
+
+const streamToString = async (stream) => {
+  let html = '';
+  for await (const chunk of stream) {
+    html += chunk.toString();
+  }
+  return html;
+};
+
+// Safe to inline in a <script>: "</script>" in the data can't close the tag
+export const serializeState = (state) => JSON.stringify(state).replace(/</g, '\\u003c');
+
+/**
+ * Renders the app with a fresh store for one request. Resolves with the
+ * markup and the store state, which the client hydrates from.
+ */
+export const render = async () => {
+  const store = makeStore({
+    services: { storage: createMemoryStorage() },
+    middlewareOptions: SERVER_MIDDLEWARE_OPTIONS,
+  });
+
+  // Query args must match the ones the components use, or the client
+  // will refetch instead of reusing the cache
+  store.dispatch(usersApi.endpoints.getUsers.initiate());
+  store.dispatch(postsApi.endpoints.getPosts.initiate({ page: 1, limit: 5 }));
+  await Promise.all([
+    store.dispatch(fetchTodos()),
+    store.dispatch(fetchPosts()),
+    ...store.dispatch(apiSlice.util.getRunningQueriesThunk()),
+  ]);
+
+  // Waits for lazy sections, unlike renderToString, which would only
+  // render their fallbacks
+  const { prelude } = await prerenderToNodeStream(
+    <React.StrictMode>
+      <Provider store={store}>
+        <App />
+      </Provider>
+    </React.StrictMode>
+  );
+
+  return {
+    html: await streamToString(prelude),
+    state: store.getState(),
+  };
+};
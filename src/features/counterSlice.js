@@ -1,14 +1,182 @@
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk, createEntityAdapter, nanoid } from '@reduxjs/toolkit';
+
+// Named counters keyed by id. Each one counts in steps of `step`, stays within
+// `min`/`max` (null for unbounded) and keeps its last HISTORY_LIMIT values for
+// a sparkline. Actions without an id go to the default counter.
+export const DEFAULT_COUNTER_ID = 'default';
+export const HISTORY_LIMIT = 20;
+
+export const countersAdapter = createEntityAdapter();
+
+const toBound = (value) => value === undefined || value === null || value === '' || Number.isNaN(Number(value))
+  ? null
+  : Number(value);
+
+export const clampCounterValue = (value, { min, max }) => {
+  if (min !== null && value < min) return min;
+  if (max !== null && value > max) return max;
+  return value;
+};
+
+/**
+ * A complete counter from { id, name, value, step, min, max }. A step that
+ * isn't positive falls back to 1, swapped bounds are put in order and the
+ * value is clamped into them.
+ */
+export const createCounter = ({ id, name, value = 0, step = 1, min = null, max = null } = {}, timestamp = null) => {
+  const bounds = [toBound(min), toBound(max)];
+  if (bounds[0] !== null && bounds[1] !== null && bounds[0] > bounds[1]) bounds.reverse();
+  const [lower, upper] = bounds;
+  const start = clampCounterValue(Number(value) || 0, { min: lower, max: upper });
+
+  return {
+    id,
+    name: String(name ?? id).trim() || String(id),
+    value: start,
+    step: Number(step) > 0 ? Number(step) : 1,
+    min: lower,
+    max: upper,
+    history: [{ value: start, at: timestamp }],
+    // incrementAsync calls in flight
+    pending: 0,
+  };
+};
+
+// Sets the clamped value and records it, dropping the oldest entries past the
+// limit. Changes the bounds swallow aren't recorded.
+const setCounterValue = (counter, value, timestamp) => {
+  const next = clampCounterValue(value, counter);
+  if (next === counter.value) return;
+
+  counter.value = next;
+  counter.history.push({ value: next, at: timestamp });
+  if (counter.history.length > HISTORY_LIMIT) {
+    counter.history.splice(0, counter.history.length - HISTORY_LIMIT);
+  }
+};
+
+// Counter actions take an id (or nothing for the default counter)
+const withTimestamp = (payload) => ({
+  payload: { ...payload, timestamp: new Date().toISOString() },
+});
+const prepareId = (id = DEFAULT_COUNTER_ID) => withTimestamp({ id });
+
+const initialState = countersAdapter.getInitialState({}, [
+  createCounter({ id: DEFAULT_COUNTER_ID, name: 'Counter' }),
+]);
+
+// ============================================================================
+// ASYNC THUNKS
+// ============================================================================
+
+// Adds `amount` (the counter's step by default) after `delay` ms, e.g. to
+// stand in for a server round trip
+export const incrementAsync = createAsyncThunk(
+  'counter/incrementAsync',
+  async ({ id = DEFAULT_COUNTER_ID, amount, delay = 500 } = {}, { extra }) => {
+    await extra.clock.delay(delay);
+    return { id, amount, timestamp: new Date(extra.clock.now()).toISOString() };
+  },
+  {
+    condition: ({ id = DEFAULT_COUNTER_ID } = {}, { getState }) =>
+      Boolean(getState().counter.entities[id]),
+  }
+);
 
 const counterSlice = createSlice({
   name: 'counter',
-  initialState: { value: 0 },
+  initialState,
   reducers: {
-    increment: (state) => { state.value += 1; },
-    decrement: (state) => { state.value -= 1; },
-    reset: (state) => { state.value = 0; },
+    // { id?, name, value, step, min, max }; an existing id is left alone
+    addCounter: {
+      reducer: (state, action) => {
+        const { timestamp, ...counter } = action.payload;
+        if (state.entities[counter.id]) return;
+        countersAdapter.addOne(state, createCounter(counter, timestamp));
+      },
+      prepare: (counter) => withTimestamp({ ...counter, id: counter.id ?? nanoid() }),
+    },
+    // The default counter always stays
+    removeCounter: (state, action) => {
+      if (action.payload === DEFAULT_COUNTER_ID) return;
+      countersAdapter.removeOne(state, action.payload);
+    },
+    // { id, name?, step?, min?, max? }; the value is clamped into new bounds
+    configureCounter: {
+      reducer: (state, action) => {
+        const { id, timestamp, ...changes } = action.payload;
+        const counter = state.entities[id];
+        if (!counter) return;
+
+        const next = createCounter({ ...counter, ...changes });
+        counter.name = next.name;
+        counter.step = next.step;
+        counter.min = next.min;
+        counter.max = next.max;
+        setCounterValue(counter, counter.value, timestamp);
+      },
+      prepare: ({ id = DEFAULT_COUNTER_ID, ...changes }) => withTimestamp({ ...changes, id }),
+    },
+    increment: {
+      reducer: (state, action) => {
+        const counter = state.entities[action.payload.id];
+        if (counter) setCounterValue(counter, counter.value + counter.step, action.payload.timestamp);
+      },
+      prepare: prepareId,
+    },
+    decrement: {
+      reducer: (state, action) => {
+        const counter = state.entities[action.payload.id];
+        if (counter) setCounterValue(counter, counter.value - counter.step, action.payload.timestamp);
+      },
+      prepare: prepareId,
+    },
+    // { id, amount }; a negative amount counts down
+    incrementByAmount: {
+      reducer: (state, action) => {
+        const { id, amount, timestamp } = action.payload;
+        const counter = state.entities[id];
+        if (counter) setCounterValue(counter, counter.value + (Number(amount) || 0), timestamp);
+      },
+      prepare: ({ id = DEFAULT_COUNTER_ID, amount }) => withTimestamp({ id, amount }),
+    },
+    // Back to 0, or the nearest bound when 0 is out of range
+    reset: {
+      reducer: (state, action) => {
+        const counter = state.entities[action.payload.id];
+        if (counter) setCounterValue(counter, 0, action.payload.timestamp);
+      },
+      prepare: prepareId,
+    },
+  },
+  extraReducers: (builder) => {
+    const settle = (state, action) => {
+      const counter = state.entities[action.meta.arg?.id ?? DEFAULT_COUNTER_ID];
+      if (counter) counter.pending = Math.max(0, counter.pending - 1);
+    };
+
+    builder
+      .addCase(incrementAsync.pending, (state, action) => {
+        const counter = state.entities[action.meta.arg?.id ?? DEFAULT_COUNTER_ID];
+        if (counter) counter.pending += 1;
+      })
+      .addCase(incrementAsync.fulfilled, (state, action) => {
+        settle(state, action);
+        const { id, amount, timestamp } = action.payload;
+        const counter = state.entities[id];
+        if (counter) setCounterValue(counter, counter.value + (amount ?? counter.step), timestamp);
+      })
+      .addCase(incrementAsync.rejected, settle);
   },
 });
 
-export const { increment, decrement, reset } = counterSlice.actions;
-export default counterSlice.reducer;
\ No newline at end of file
+export const {
+  addCounter,
+  removeCounter,
+  configureCounter,
+  increment,
+  decrement,
+  incrementByAmount,
+  reset,
+} = counterSlice.actions;
+export default counterSlice.reducer;
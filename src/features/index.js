@@ -3,28 +3,60 @@ export { default as counterReducer } from './counterSlice';
 export { default as todoReducer } from './todoSlice';
 export { default as userReducer } from './userSlice';
 export { default as uiReducer } from './uiSlice';
-export { default as postsReducer } from './postsSlice';
 
 // Counter actions and selectors
 export {
+  DEFAULT_COUNTER_ID,
+  incrementAsync,
+  addCounter,
+  removeCounter,
+  configureCounter,
   increment,
   decrement,
+  incrementByAmount,
   reset,
 } from './counterSlice';
 
 // Todo actions and selectors
 export {
   fetchTodos,
+  loadMoreTodos,
+  exportTodos,
   addTodo,
+  updateTodo,
+  importTodos,
+  reorderTodos,
   deleteTodo,
   toggleTodo,
+  addSubtask,
+  toggleSubtask,
+  removeSubtask,
+  selectTodo,
+  deselectTodo,
+  selectAllVisible as selectAllVisibleTodos,
+  selectRange as selectTodoRange,
+  clearSelection as clearTodoSelection,
+  completeSelected,
+  uncompleteSelected,
+  deleteSelected,
+  clearCompleted,
   clearError as clearTodoError,
+  setVisibilityFilter as setTodoVisibilityFilter,
+  setSearchFilter as setTodoSearchFilter,
+  setSortBy as setTodoSortBy,
+  clearFilters as clearTodoFilters,
+  retryTodoSync,
+  undoTodos,
+  redoTodos,
+  clearTodosHistory,
 } from './todoSlice';
 
 // User actions and selectors
 export {
   loginUser,
   logoutUser,
+  refreshSession,
+  endExpiredSession,
   fetchUserProfile,
   clearError as clearUserError,
   updateProfile,
@@ -33,6 +65,7 @@ export {
   selectUser,
   selectIsAuthenticated,
   selectUserToken,
+  selectTokenExpiresAt,
   selectUserLoading,
   selectUserError,
   selectLoginAttempts,
@@ -54,6 +87,7 @@ export {
   toggleSidebar,
   setSidebarOpen,
   setActiveTab,
+  setLeaderTab,
   updatePreferences,
   resetPreferences,
   setError as setUIError,
@@ -62,7 +96,7 @@ export {
   addSuccessMessage,
   removeSuccessMessage,
   clearSuccessMessages,
-  initializeUI,
+  hydrateUI,
   selectTheme,
   selectModals,
   selectModal,
@@ -71,47 +105,16 @@ export {
   selectIsLoading,
   selectSidebarOpen,
   selectActiveTab,
+  selectIsLeaderTab,
   selectPreferences,
   selectErrors,
   selectError,
   selectSuccessMessages,
 } from './uiSlice';
 
-// Posts actions and selectors
-export {
-  fetchPosts,
-  fetchPostById,
-  createPost,
-  updatePost,
-  deletePost,
-  setSearchFilter,
-  setCategoryFilter,
-  setSortBy,
-  setSortOrder,
-  clearFilters as clearPostsFilters,
-  setCurrentPage,
-  setItemsPerPage,
-  clearCurrentPost,
-  clearError as clearPostsError,
-  saveDraft,
-  deleteDraft,
-  clearDrafts,
-  toggleFavorite,
-  clearFavorites,
-  clearCache,
-  selectPosts,
-  selectCurrentPost,
-  selectPostsStatus,
-  selectPostsError,
-  selectPostsFilters,
-  selectPostsPagination,
-  selectDrafts,
-  selectFavorites,
-  selectPostCache,
-  selectFilteredPosts,
-  selectPaginatedPosts,
-  selectIsPostFavorite,
-} from './postsSlice';
+// Posts are code-split: import their actions from './postsSlice' and their
+// RTK Query hooks from './postsApi' inside lazily loaded components, so that
+// importing this barrel doesn't pull them into the initial bundle.
 
 // API slice
 export { apiSlice } from './apiSlice';
@@ -121,22 +124,14 @@ export {
   useCreateUserMutation,
   useUpdateUserMutation,
   useDeleteUserMutation,
-  useGetPostsQuery,
-  useGetPostByIdQuery,
-  useGetPostsByUserQuery,
-  useCreatePostMutation,
-  useUpdatePostMutation,
-  useDeletePostMutation,
-  useGetCommentsQuery,
-  useCreateCommentMutation,
+} from './usersApi';
+export {
   useGetTodosQuery,
   useGetTodoByIdQuery,
   useCreateTodoMutation,
   useUpdateTodoMutation,
   useDeleteTodoMutation,
-  useSearchPostsQuery,
-  useBatchGetPostsQuery,
-} from './apiSlice';
+} from './todosApi';
 
 // Selectors
 export * from './selectors';
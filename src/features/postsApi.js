@@ -0,0 +1,105 @@
+import { apiSlice } from './apiSlice';
+
+// Post, comment and search endpoints. Only loaded with the posts feature.
+export const postsApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    getPosts: builder.query({
+      query: ({ page = 1, limit = 10, userId } = {}) => {
+        const params = new URLSearchParams();
+        params.append('_page', page);
+        params.append('_limit', limit);
+        if (userId) params.append('userId', userId);
+        
+        return `/posts?${params.toString()}`;
+      },
+      providesTags: ['Post'],
+    }),
+    getPostById: builder.query({
+      query: (id) => `/posts/${id}`,
+      providesTags: (result, error, id) => [{ type: 'Post', id }],
+    }),
+    getPostsByUser: builder.query({
+      query: (userId) => `/users/${userId}/posts`,
+      providesTags: (result, error, userId) => [
+        { type: 'Post', id: 'LIST' },
+        ...(result?.map(({ id }) => ({ type: 'Post', id })) || []),
+      ],
+    }),
+    createPost: builder.mutation({
+      query: (postData) => ({
+        url: '/posts',
+        method: 'POST',
+        body: postData,
+      }),
+      invalidatesTags: ['Post'],
+    }),
+    updatePost: builder.mutation({
+      query: ({ id, ...postData }) => ({
+        url: `/posts/${id}`,
+        method: 'PUT',
+        body: postData,
+      }),
+      invalidatesTags: (result, error, { id }) => [{ type: 'Post', id }],
+    }),
+    deletePost: builder.mutation({
+      query: (id) => ({
+        url: `/posts/${id}`,
+        method: 'DELETE',
+      }),
+      invalidatesTags: (result, error, id) => [{ type: 'Post', id }],
+    }),
+    
+    // Comment endpoints
+    getComments: builder.query({
+      query: (postId) => `/posts/${postId}/comments`,
+      providesTags: (result, error, postId) => [
+        { type: 'Comment', id: postId },
+        ...(result?.map(({ id }) => ({ type: 'Comment', id })) || []),
+      ],
+    }),
+    createComment: builder.mutation({
+      query: (commentData) => ({
+        url: '/comments',
+        method: 'POST',
+        body: commentData,
+      }),
+      invalidatesTags: (result, error, { postId }) => [
+        { type: 'Comment', id: postId },
+      ],
+    }),
+    
+    // Search endpoints
+    searchPosts: builder.query({
+      query: (searchTerm) => `/posts?q=${encodeURIComponent(searchTerm)}`,
+      providesTags: (result, error, searchTerm) => [
+        { type: 'Post', id: `search-${searchTerm}` },
+      ],
+    }),
+    
+    // Batch operations
+    batchGetPosts: builder.query({
+      query: (postIds) => `/posts?id=${postIds.join('&id=')}`,
+      providesTags: (result, error, postIds) => [
+        ...(postIds?.map(id => ({ type: 'Post', id })) || []),
+      ],
+    }),
+  }),
+});
+
+export const {
+  // Post hooks
+  useGetPostsQuery,
+  useGetPostByIdQuery,
+  useGetPostsByUserQuery,
+  useCreatePostMutation,
+  useUpdatePostMutation,
+  useDeletePostMutation,
+  
+  // Comment hooks
+  useGetCommentsQuery,
+  useCreateCommentMutation,
+  
+  // Search hooks
+  useSearchPostsQuery,
+  useBatchGetPostsQuery,
+} = postsApi;
@@ -1,16 +1,15 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { createUndoable } from './undoable';
+import { initialPostsState, selectPostsState, postsAdapter, getPostDateKey } from './postsState';
+import { createTempId, replaceEntityId } from './tempIds';
+import { rootReducer } from '../app/rootReducer';
 
 // Async thunk for fetching posts
 export const fetchPosts = createAsyncThunk(
   'posts/fetchPosts',
-  async (_, { rejectWithValue }) => {
+  async (_, { rejectWithValue, extra }) => {
     try {
-      const response = await fetch('https://jsonplaceholder.typicode.com/posts?_limit=10');
-      if (!response.ok) {
-        throw new Error('Failed to fetch posts');
-      }
-      const posts = await response.json();
-      return posts;
+      return await extra.http.get('/posts?_limit=10');
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -20,49 +19,42 @@ export const fetchPosts = createAsyncThunk(
 // Async thunk for fetching a single post
 export const fetchPostById = createAsyncThunk(
   'posts/fetchPostById',
-  async (postId, { rejectWithValue }) => {
+  async (postId, { rejectWithValue, extra }) => {
     try {
-      const response = await fetch(`https://jsonplaceholder.typicode.com/posts/${postId}`);
-      if (!response.ok) {
-        throw new Error('Failed to fetch post');
-      }
-      const post = await response.json();
-      return post;
+      return await extra.http.get(`/posts/${postId}`);
     } catch (error) {
       return rejectWithValue(error.message);
     }
   }
 );
 
-// Async thunk for creating a new post
+// Async thunk for creating a new post. The post is shown right away under a
+// temporary id (see tempPostId), which the server's id replaces on success.
 export const createPost = createAsyncThunk(
   'posts/createPost',
-  async (postData, { rejectWithValue, getState }) => {
+  async (postData, { rejectWithValue, getState, extra }) => {
     try {
       const { user } = getState();
-      const newPost = {
+      return await extra.http.post('/posts', {
         ...postData,
         userId: user.userData?.id || 1,
-        id: Date.now(), // In real app, this would be generated by the server
-      };
-      
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      return newPost;
+      });
     } catch (error) {
       return rejectWithValue(error.message);
     }
   }
 );
 
+// The temporary id of the post a createPost call adds
+const tempPostId = (action) => createTempId(action.meta.requestId);
+
 // Async thunk for updating a post
 export const updatePost = createAsyncThunk(
   'posts/updatePost',
-  async ({ postId, updates }, { rejectWithValue }) => {
+  async ({ postId, updates }, { rejectWithValue, extra }) => {
     try {
       // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 800));
+      await extra.clock.delay(800);
       
       return { postId, updates };
     } catch (error) {
@@ -74,10 +66,10 @@ export const updatePost = createAsyncThunk(
 // Async thunk for deleting a post
 export const deletePost = createAsyncThunk(
   'posts/deletePost',
-  async (postId, { rejectWithValue }) => {
+  async (postId, { rejectWithValue, extra }) => {
     try {
       // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 500));
+      await extra.clock.delay(500);
       
       return postId;
     } catch (error) {
@@ -88,30 +80,7 @@ export const deletePost = createAsyncThunk(
 
 const postsSlice = createSlice({
   name: 'posts',
-  initialState: {
-    posts: [],
-    currentPost: null,
-    status: 'idle', // 'idle', 'loading', 'succeeded', 'failed'
-    error: null,
-    filters: {
-      search: '',
-      category: 'all',
-      sortBy: 'date', // 'date', 'title', 'author'
-      sortOrder: 'desc', // 'asc', 'desc'
-    },
-    pagination: {
-      currentPage: 1,
-      totalPages: 1,
-      itemsPerPage: 10,
-      totalItems: 0,
-    },
-    // Cache for individual posts
-    postCache: {},
-    // User's draft posts
-    drafts: [],
-    // User's favorite posts
-    favorites: [],
-  },
+  initialState: initialPostsState,
   reducers: {
     // Filter and search actions
     setSearchFilter: (state, action) => {
@@ -156,19 +125,23 @@ const postsSlice = createSlice({
     },
     
     // Draft management
-    saveDraft: (state, action) => {
-      const draft = {
-        id: action.payload.id || Date.now(),
-        ...action.payload,
-        savedAt: new Date().toISOString(),
-      };
-      
-      const existingIndex = state.drafts.findIndex(d => d.id === draft.id);
-      if (existingIndex >= 0) {
-        state.drafts[existingIndex] = draft;
-      } else {
-        state.drafts.push(draft);
-      }
+    saveDraft: {
+      reducer: (state, action) => {
+        const draft = action.payload;
+        const existingIndex = state.drafts.findIndex(d => d.id === draft.id);
+        if (existingIndex >= 0) {
+          state.drafts[existingIndex] = draft;
+        } else {
+          state.drafts.push(draft);
+        }
+      },
+      prepare: (draft) => ({
+        payload: {
+          ...draft,
+          id: draft.id || Date.now(),
+          savedAt: new Date().toISOString(),
+        },
+      }),
     },
     deleteDraft: (state, action) => {
       state.drafts = state.drafts.filter(draft => draft.id !== action.payload);
@@ -206,7 +179,7 @@ const postsSlice = createSlice({
       })
       .addCase(fetchPosts.fulfilled, (state, action) => {
         state.status = 'succeeded';
-        state.posts = action.payload;
+        postsAdapter.setAll(state, action.payload);
         state.pagination.totalItems = action.payload.length;
         state.pagination.totalPages = Math.ceil(action.payload.length / state.pagination.itemsPerPage);
       })
@@ -231,20 +204,33 @@ const postsSlice = createSlice({
         state.error = action.payload;
       })
       
-      // Create post
-      .addCase(createPost.pending, (state) => {
+      // Create post: added first under a temporary id while the request runs
+      .addCase(createPost.pending, (state, action) => {
         state.status = 'loading';
         state.error = null;
+        const id = tempPostId(action);
+        state.entities[id] = { ...action.meta.arg, id };
+        state.ids.unshift(id);
+        state.pagination.totalItems += 1;
+        state.pagination.totalPages = Math.ceil(state.pagination.totalItems / state.pagination.itemsPerPage);
       })
       .addCase(createPost.fulfilled, (state, action) => {
         state.status = 'succeeded';
-        state.posts.unshift(action.payload);
-        state.pagination.totalItems += 1;
-        state.pagination.totalPages = Math.ceil(state.pagination.totalItems / state.pagination.itemsPerPage);
+        const tempId = tempPostId(action);
+        const id = replaceEntityId(state, tempId, action.payload.id) ? action.payload.id : tempId;
+        state.favorites = state.favorites.map(favoriteId => favoriteId === tempId ? id : favoriteId);
+        postsAdapter.updateOne(state, { id, changes: { ...action.payload, id } });
       })
       .addCase(createPost.rejected, (state, action) => {
         state.status = 'failed';
         state.error = action.payload;
+        const tempId = tempPostId(action);
+        if (!state.entities[tempId]) return;
+
+        postsAdapter.removeOne(state, tempId);
+        state.favorites = state.favorites.filter(favoriteId => favoriteId !== tempId);
+        state.pagination.totalItems -= 1;
+        state.pagination.totalPages = Math.ceil(state.pagination.totalItems / state.pagination.itemsPerPage);
       })
       
       // Update post
@@ -256,11 +242,8 @@ const postsSlice = createSlice({
         state.status = 'succeeded';
         const { postId, updates } = action.payload;
         
-        // Update in posts array
-        const postIndex = state.posts.findIndex(post => post.id === postId);
-        if (postIndex !== -1) {
-          state.posts[postIndex] = { ...state.posts[postIndex], ...updates };
-        }
+        // Update the post
+        postsAdapter.updateOne(state, { id: postId, changes: updates });
         
         // Update current post if it's the one being updated
         if (state.currentPost && state.currentPost.id === postId) {
@@ -286,8 +269,8 @@ const postsSlice = createSlice({
         state.status = 'succeeded';
         const postId = action.payload;
         
-        // Remove from posts array
-        state.posts = state.posts.filter(post => post.id !== postId);
+        // Remove the post
+        postsAdapter.removeOne(state, postId);
         
         // Clear current post if it's the one being deleted
         if (state.currentPost && state.currentPost.id === postId) {
@@ -329,21 +312,41 @@ export const {
   clearCache,
 } = postsSlice.actions;
 
-// Selectors
-export const selectPosts = (state) => state.posts.posts;
-export const selectCurrentPost = (state) => state.posts.currentPost;
-export const selectPostsStatus = (state) => state.posts.status;
-export const selectPostsError = (state) => state.posts.error;
-export const selectPostsFilters = (state) => state.posts.filters;
-export const selectPostsPagination = (state) => state.posts.pagination;
-export const selectDrafts = (state) => state.posts.drafts;
-export const selectFavorites = (state) => state.posts.favorites;
-export const selectPostCache = (state) => state.posts.postCache;
+// Undo/redo for post deletions and favorites. Only the data those change is
+// snapshotted, so undo doesn't move the page or drop fetched posts.
+const undoablePosts = createUndoable(postsSlice.reducer, {
+  name: 'posts',
+  keys: ['ids', 'entities', 'favorites'],
+  include: [deletePost.fulfilled.type, toggleFavorite.type, clearFavorites.type],
+});
+
+export const {
+  undo: undoPosts,
+  redo: redoPosts,
+  clearHistory: clearPostsHistory,
+} = undoablePosts.actions;
+
+// Posts are code-split, so the slice is injected when this module loads
+rootReducer.inject({ reducerPath: 'posts', reducer: undoablePosts.reducer });
+
+// Selectors (state.posts is missing until the first action after injection)
+export const {
+  selectAll: selectPosts,
+  selectById: selectPostById,
+} = postsAdapter.getSelectors(selectPostsState);
+export const selectCurrentPost = (state) => selectPostsState(state).currentPost;
+export const selectPostsStatus = (state) => selectPostsState(state).status;
+export const selectPostsError = (state) => selectPostsState(state).error;
+export const selectPostsFilters = (state) => selectPostsState(state).filters;
+export const selectPostsPagination = (state) => selectPostsState(state).pagination;
+export const selectDrafts = (state) => selectPostsState(state).drafts;
+export const selectFavorites = (state) => selectPostsState(state).favorites;
+export const selectPostCache = (state) => selectPostsState(state).postCache;
 
 // Computed selectors
 export const selectFilteredPosts = (state) => {
-  const { posts, filters } = state.posts;
-  let filtered = [...posts];
+  const { filters } = selectPostsState(state);
+  let filtered = [...selectPosts(state)];
   
   // Apply search filter
   if (filters.search) {
@@ -375,8 +378,8 @@ export const selectFilteredPosts = (state) => {
         break;
       case 'date':
       default:
-        aValue = new Date(a.id); // Using id as proxy for date
-        bValue = new Date(b.id);
+        aValue = getPostDateKey(a);
+        bValue = getPostDateKey(b);
         break;
     }
     
@@ -392,7 +395,7 @@ export const selectFilteredPosts = (state) => {
 
 export const selectPaginatedPosts = (state) => {
   const filtered = selectFilteredPosts(state);
-  const { currentPage, itemsPerPage } = state.posts.pagination;
+  const { currentPage, itemsPerPage } = selectPostsState(state).pagination;
   
   const startIndex = (currentPage - 1) * itemsPerPage;
   const endIndex = startIndex + itemsPerPage;
@@ -401,6 +404,6 @@ export const selectPaginatedPosts = (state) => {
 };
 
 export const selectIsPostFavorite = (postId) => (state) => 
-  state.posts.favorites.includes(postId);
+  selectPostsState(state).favorites.includes(postId);
 
-export default postsSlice.reducer;
+export default undoablePosts.reducer;
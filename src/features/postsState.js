@@ -0,0 +1,37 @@
+import { createEntityAdapter } from '@reduxjs/toolkit';
+import { isTempId } from './tempIds';
+
+// Posts are stored as { ids, entities }, newest created first
+export const postsAdapter = createEntityAdapter();
+
+// Kept apart from postsSlice so selectors can fall back to it before the
+// lazily loaded posts slice has been injected
+export const initialPostsState = postsAdapter.getInitialState({
+  currentPost: null,
+  status: 'idle', // 'idle', 'loading', 'succeeded', 'failed'
+  error: null,
+  filters: {
+    search: '',
+    category: 'all',
+    sortBy: 'date', // 'date', 'title', 'author'
+    sortOrder: 'desc', // 'asc', 'desc'
+  },
+  pagination: {
+    currentPage: 1,
+    totalPages: 1,
+    itemsPerPage: 10,
+    totalItems: 0,
+  },
+  // Cache for individual posts
+  postCache: {},
+  // User's draft posts
+  drafts: [],
+  // User's favorite posts
+  favorites: [],
+});
+
+// Posts have no timestamp, so the 'date' sort goes by id: server ids grow
+// over time and posts still being created (temporary ids) are the newest
+export const getPostDateKey = (post) => isTempId(post.id) ? Infinity : Number(post.id);
+
+export const selectPostsState = (state) => state.posts ?? initialPostsState;
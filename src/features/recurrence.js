@@ -0,0 +1,186 @@
+import { createTempId, isTempId } from './tempIds';
+
+// Recurrence rules for repeating todos. Everything here is pure: dates are
+// 'YYYY-MM-DD' keys and "today" is always passed in, so callers (reducers,
+// selectors, tests) decide what the clock says.
+//
+// A rule is one of
+//   { frequency: 'daily' }
+//   { frequency: 'weekly', weekdays: [1, 3] }   // 0 = Sunday; empty = due date's weekday
+//   { frequency: 'monthly', dayOfMonth: 31 }    // clamped to short months
+//   { frequency: 'interval', interval: 3 }      // every N days
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'interval'];
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Guards the catch-up loops against rules that never advance
+const MAX_STEPS = 1000;
+
+// ============================================================================
+// DATE KEYS
+// ============================================================================
+
+// Calendar math in UTC so daylight saving changes can't shift a day
+const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDateKey = (date) => date.toISOString().slice(0, 10);
+
+export const addDays = (key, days) => {
+  const date = parseDateKey(key);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDateKey(date);
+};
+
+const getWeekday = (key) => parseDateKey(key).getUTCDay();
+const getDayOfMonth = (key) => parseDateKey(key).getUTCDate();
+
+// The given day in the month `offset` months after key's, clamped to its length
+const dayInMonth = (key, offset, dayOfMonth) => {
+  const date = parseDateKey(key);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + offset;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return formatDateKey(new Date(Date.UTC(year, month, Math.min(dayOfMonth, lastDay))));
+};
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+// Returns a clean rule, or null for "doesn't repeat" and anything invalid
+export const normalizeRecurrence = (rule) => {
+  if (!rule || !RECURRENCE_FREQUENCIES.includes(rule.frequency)) return null;
+
+  switch (rule.frequency) {
+    case 'weekly': {
+      const weekdays = [...new Set((rule.weekdays || []).map(Number))]
+        .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+        .sort((a, b) => a - b);
+      return { frequency: 'weekly', weekdays };
+    }
+    case 'monthly': {
+      const dayOfMonth = Number(rule.dayOfMonth);
+      return Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31
+        ? { frequency: 'monthly', dayOfMonth }
+        : { frequency: 'monthly' };
+    }
+    case 'interval': {
+      const interval = Math.floor(Number(rule.interval));
+      return { frequency: 'interval', interval: interval >= 1 ? interval : 1 };
+    }
+    default:
+      return { frequency: 'daily' };
+  }
+};
+
+// Fills in what the rule leaves to the first due date, so a series keeps its
+// weekday or day of month even after a clamped month
+export const anchorRecurrence = (rule, dueDate) => {
+  if (rule.frequency === 'weekly' && rule.weekdays.length === 0) {
+    return { ...rule, weekdays: [getWeekday(dueDate)] };
+  }
+  if (rule.frequency === 'monthly' && rule.dayOfMonth === undefined) {
+    return { ...rule, dayOfMonth: getDayOfMonth(dueDate) };
+  }
+  return rule;
+};
+
+// The first date the rule matches strictly after `after`
+export const getNextOccurrence = (rule, after) => {
+  const anchored = anchorRecurrence(rule, after);
+
+  switch (anchored.frequency) {
+    case 'daily':
+      return addDays(after, 1);
+    case 'interval':
+      return addDays(after, anchored.interval);
+    case 'weekly': {
+      for (let offset = 1; offset <= 7; offset += 1) {
+        const candidate = addDays(after, offset);
+        if (anchored.weekdays.includes(getWeekday(candidate))) return candidate;
+      }
+      return addDays(after, 7);
+    }
+    case 'monthly': {
+      const thisMonth = dayInMonth(after, 0, anchored.dayOfMonth);
+      return thisMonth > after ? thisMonth : dayInMonth(after, 1, anchored.dayOfMonth);
+    }
+    default:
+      return null;
+  }
+};
+
+// Up to `limit` dates after `after`, stopping past `until` when given. The
+// rule is anchored to `after` once, like createNextOccurrence does, so a
+// monthly rule from Jan 31 gives Feb 28 and then Mar 31, not Mar 28.
+export const getOccurrences = (rule, after, { limit = 5, until } = {}) => {
+  const anchored = anchorRecurrence(rule, after);
+  const dates = [];
+  let current = after;
+  while (dates.length < limit && dates.length < MAX_STEPS) {
+    current = getNextOccurrence(anchored, current);
+    if (!current || (until && current > until)) break;
+    dates.push(current);
+  }
+  return dates;
+};
+
+export const describeRecurrence = (rule) => {
+  if (!rule) return '';
+  switch (rule.frequency) {
+    case 'daily':
+      return 'Daily';
+    case 'weekly':
+      return rule.weekdays.length > 0
+        ? `Weekly on ${rule.weekdays.map(day => WEEKDAY_LABELS[day]).join(', ')}`
+        : 'Weekly';
+    case 'monthly':
+      return rule.dayOfMonth ? `Monthly on day ${rule.dayOfMonth}` : 'Monthly';
+    case 'interval':
+      return rule.interval === 1 ? 'Daily' : `Every ${rule.interval} days`;
+    default:
+      return '';
+  }
+};
+
+// ============================================================================
+// OCCURRENCES
+// ============================================================================
+
+/**
+ * The todo that follows a completed recurring one. Its due date is the next
+ * rule match after the current due date (or the completion date when there
+ * is none), skipping ahead past `completedOn` so a late completion doesn't
+ * leave the next one overdue. The temporary id is derived from the series and
+ * due date, so every tab that replays the completion creates the same todo.
+ */
+export const createNextOccurrence = (todo, completedOn, createdAt) => {
+  const base = todo.dueDate || completedOn;
+  const recurrence = anchorRecurrence(todo.recurrence, base);
+
+  let dueDate = getNextOccurrence(recurrence, base);
+  for (let step = 0; dueDate <= completedOn && step < MAX_STEPS; step += 1) {
+    dueDate = getNextOccurrence(recurrence, dueDate);
+  }
+
+  const seriesId = todo.seriesId ?? todo.id;
+  const key = `${seriesId}@${dueDate}`;
+  return {
+    id: isTempId(seriesId) ? key : createTempId(key),
+    seriesId,
+    title: todo.title,
+    description: todo.description,
+    priority: todo.priority,
+    tags: todo.tags,
+    userId: todo.userId,
+    subtasks: (todo.subtasks || []).map(subtask => ({ ...subtask, completed: false })),
+    recurrence,
+    dueDate,
+    completed: false,
+    completedAt: null,
+    createdAt,
+  };
+};
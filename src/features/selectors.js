@@ -1,9 +1,22 @@
 import { createSelector } from '@reduxjs/toolkit';
+import { selectPostsState, postsAdapter, getPostDateKey } from './postsState';
+import { toDateKey, compareTodoOrder, getSubtaskProgress, todosAdapter } from './todoModel';
+import { addDays, getOccurrences } from './recurrence';
+import { countersAdapter, DEFAULT_COUNTER_ID } from './counterSlice';
+import { getLatestStep } from './undoable';
 
 // ============================================================================
 // COUNTER SELECTORS
 // ============================================================================
-export const selectCounterValue = (state) => state.counter.value;
+// Counter selectors take the counter's id, defaulting to the default counter,
+// e.g. useSelector(state => selectCounterIsEven(state, id))
+export const {
+  selectAll: selectCounters,
+  selectIds: selectCounterIds,
+} = countersAdapter.getSelectors((state) => state.counter);
+export const selectCounter = (state, id = DEFAULT_COUNTER_ID) => state.counter.entities[id];
+export const selectCounterValue = (state, id) => selectCounter(state, id)?.value ?? 0;
+export const selectCounterHistory = (state, id) => selectCounter(state, id)?.history ?? [];
 
 export const selectCounterIsEven = createSelector(
   [selectCounterValue],
@@ -15,12 +28,38 @@ export const selectCounterIsPositive = createSelector(
   (value) => value > 0
 );
 
+// Just the values, for drawing a sparkline
+export const selectCounterSparkline = createSelector(
+  [selectCounterHistory],
+  (history) => history.map(entry => entry.value)
+);
+
+// Whether another step either way would still move the value
+export const selectCounterLimits = createSelector(
+  [selectCounter],
+  (counter) => ({
+    canIncrement: Boolean(counter) && (counter.max === null || counter.value < counter.max),
+    canDecrement: Boolean(counter) && (counter.min === null || counter.value > counter.min),
+  })
+);
+
 // ============================================================================
 // TODO SELECTORS
 // ============================================================================
-export const selectTodos = (state) => state.todos.list;
+// Adapter selectors: selectTodos is the list in manual order, selectTodoById
+// a lookup by id
+export const {
+  selectAll: selectTodos,
+  selectById: selectTodoById,
+  selectIds: selectTodoIds,
+  selectEntities: selectTodoEntities,
+} = todosAdapter.getSelectors((state) => state.todos);
 export const selectTodosStatus = (state) => state.todos.status;
 export const selectTodosError = (state) => state.todos.error;
+export const selectTodoFilters = (state) => state.todos.filters;
+// { page, limit, userId, hasMore } of the pages fetched so far
+export const selectTodosPagination = (state) => state.todos.pagination;
+export const selectHasMoreTodos = (state) => state.todos.pagination.hasMore;
 
 export const selectCompletedTodos = createSelector(
   [selectTodos],
@@ -52,11 +91,160 @@ export const selectTodosCompletionPercentage = createSelector(
   (total, completed) => total > 0 ? Math.round((completed / total) * 100) : 0
 );
 
+// Subtask progress across every todo, e.g. "12/20 subtasks"
+export const selectSubtaskCounts = createSelector(
+  [selectTodos],
+  (todos) => todos.reduce((counts, todo) => {
+    const { completed, total } = getSubtaskProgress(todo);
+    return { completed: counts.completed + completed, total: counts.total + total };
+  }, { completed: 0, total: 0 })
+);
+
+export const selectSubtasksCompletionPercentage = createSelector(
+  [selectSubtaskCounts],
+  ({ completed, total }) => total > 0 ? Math.round((completed / total) * 100) : 0
+);
+
+// { completed, total, percentage } for one todo's subtasks
+export const selectSubtaskProgress = createSelector(
+  [selectTodoById],
+  (todo) => getSubtaskProgress(todo || {})
+);
+
+export const selectCanUndoTodos = (state) => state.todos.history.past.length > 0;
+// For undoTodos(step), e.g. from an Undo notification
+export const selectTodosUndoStep = (state) => getLatestStep(state.todos.history);
+export const selectCanRedoTodos = (state) => state.todos.history.future.length > 0;
+
 export const selectTodosByUserId = (userId) => createSelector(
   [selectTodos],
   (todos) => todos.filter(todo => todo.userId === userId)
 );
 
+// Date-based selectors take today's 'YYYY-MM-DD' as an optional second
+// argument, so results stay memoized for the day and tests can pin the date
+const selectToday = (state, today = toDateKey()) => today;
+
+export const selectOverdueTodos = createSelector(
+  [selectTodos, selectToday],
+  (todos, today) => todos.filter(todo => !todo.completed && todo.dueDate && todo.dueDate < today)
+);
+
+export const selectTodosDueToday = createSelector(
+  [selectTodos, selectToday],
+  (todos, today) => todos.filter(todo => todo.dueDate === today)
+);
+
+// Recurring todos due over the next `days` days (third argument, default 14):
+// each open occurrence plus the ones its rule projects after it, by date.
+// Projected entries are { todoId, title, dueDate, projected: true }.
+export const selectUpcomingOccurrences = createSelector(
+  [selectTodos, selectToday, (state, today, days = 14) => days],
+  (todos, today, days) => {
+    const until = addDays(today, days);
+    return todos
+      .filter(todo => todo.recurrence && !todo.completed && todo.dueDate)
+      .flatMap(todo => {
+        const current = todo.dueDate >= today && todo.dueDate <= until
+          ? [{ todoId: todo.id, title: todo.title, dueDate: todo.dueDate, projected: false }]
+          : [];
+        const projected = getOccurrences(todo.recurrence, todo.dueDate, { limit: Infinity, until })
+          .filter(dueDate => dueDate >= today)
+          .map(dueDate => ({ todoId: todo.id, title: todo.title, dueDate, projected: true }));
+        return [...current, ...projected];
+      })
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+  }
+);
+
+// selectTodosByPriority(state, 'high')
+export const selectTodosByPriority = createSelector(
+  [selectTodos, (state, priority) => priority],
+  (todos, priority) => todos.filter(todo => todo.priority === priority)
+);
+
+// selectTodosByTag(state, 'work'); tags are stored lowercase
+export const selectTodosByTag = createSelector(
+  [selectTodos, (state, tag) => tag],
+  (todos, tag) => todos.filter(todo => todo.tags?.includes(String(tag).toLowerCase()))
+);
+
+// Newest first; todos from the API have no createdAt and keep their order
+const compareCreated = (a, b) => (b.createdAt || '').localeCompare(a.createdAt || '');
+
+const todoComparators = {
+  manual: compareTodoOrder,
+  created: compareCreated,
+  title: (a, b) => a.title.localeCompare(b.title),
+  // Active before completed, otherwise unchanged
+  completion: (a, b) => Number(a.completed) - Number(b.completed),
+};
+
+const matchesTodoSearch = (todo, search) =>
+  todo.title.toLowerCase().includes(search) ||
+  (todo.description || '').toLowerCase().includes(search) ||
+  (todo.tags || []).some(tag => tag.includes(search)) ||
+  (todo.subtasks || []).some(subtask => subtask.title.toLowerCase().includes(search));
+
+// The list as shown: visibility filter, then search, then sort
+export const selectVisibleTodos = createSelector(
+  [selectTodos, selectTodoFilters],
+  (todos, { visibility, search, sortBy }) => {
+    const query = search.trim().toLowerCase();
+    const visible = todos.filter(todo =>
+      (visibility === 'all' || todo.completed === (visibility === 'completed')) &&
+      (!query || matchesTodoSearch(todo, query))
+    );
+    return visible.sort(todoComparators[sortBy] || compareTodoOrder);
+  }
+);
+
+// Bulk selection. Ids of todos that were removed are ignored.
+export const selectSelectedTodoIds = (state) => state.todos.selection.ids;
+
+export const selectSelectedTodos = createSelector(
+  [selectTodos, selectSelectedTodoIds],
+  (todos, ids) => {
+    const selected = new Set(ids);
+    return todos.filter(todo => selected.has(todo.id));
+  }
+);
+
+// { count, completed, active } of the selection, for the bulk toolbar
+export const selectSelectionSummary = createSelector(
+  [selectSelectedTodos],
+  (todos) => {
+    const completed = todos.filter(todo => todo.completed).length;
+    return { count: todos.length, completed, active: todos.length - completed };
+  }
+);
+
+export const selectAreAllVisibleTodosSelected = createSelector(
+  [selectVisibleTodos, selectSelectedTodoIds],
+  (visible, ids) => visible.length > 0 && visible.every(todo => ids.includes(todo.id))
+);
+
+// Counts for the visibility filter tabs
+export const selectTodoFilterCounts = createSelector(
+  [selectTodosCount, selectPendingTodosCount, selectCompletedTodosCount],
+  (all, active, completed) => ({ all, active, completed })
+);
+
+// Todos whose last change is still on its way to the server, or failed
+export const selectTodoSyncCounts = createSelector(
+  [selectTodos],
+  (todos) => ({
+    pending: todos.filter(todo => todo.syncStatus === 'pending').length,
+    failed: todos.filter(todo => todo.syncStatus === 'failed').length,
+  })
+);
+
+// Every tag in use, sorted, e.g. for filter chips
+export const selectTodoTags = createSelector(
+  [selectTodos],
+  (todos) => [...new Set(todos.flatMap(todo => todo.tags || []))].sort()
+);
+
 // ============================================================================
 // USER SELECTORS
 // ============================================================================
@@ -157,15 +345,21 @@ export const selectIsGlobalLoading = createSelector(
 // ============================================================================
 // POSTS SELECTORS
 // ============================================================================
-export const selectPosts = (state) => state.posts.posts;
-export const selectCurrentPost = (state) => state.posts.currentPost;
-export const selectPostsStatus = (state) => state.posts.status;
-export const selectPostsError = (state) => state.posts.error;
-export const selectPostsFilters = (state) => state.posts.filters;
-export const selectPostsPagination = (state) => state.posts.pagination;
-export const selectDrafts = (state) => state.posts.drafts;
-export const selectFavorites = (state) => state.posts.favorites;
-export const selectPostCache = (state) => state.posts.postCache;
+
+// Posts are lazy-loaded; these read the initial posts state until the slice
+// has been injected
+export const {
+  selectAll: selectPosts,
+  selectById: selectPostById,
+} = postsAdapter.getSelectors(selectPostsState);
+export const selectCurrentPost = (state) => selectPostsState(state).currentPost;
+export const selectPostsStatus = (state) => selectPostsState(state).status;
+export const selectPostsError = (state) => selectPostsState(state).error;
+export const selectPostsFilters = (state) => selectPostsState(state).filters;
+export const selectPostsPagination = (state) => selectPostsState(state).pagination;
+export const selectDrafts = (state) => selectPostsState(state).drafts;
+export const selectFavorites = (state) => selectPostsState(state).favorites;
+export const selectPostCache = (state) => selectPostsState(state).postCache;
 
 export const selectFilteredPosts = createSelector(
   [selectPosts, selectPostsFilters],
@@ -202,8 +396,8 @@ export const selectFilteredPosts = createSelector(
           break;
         case 'date':
         default:
-          aValue = new Date(a.id); // Using id as proxy for date
-          bValue = new Date(b.id);
+          aValue = getPostDateKey(a);
+          bValue = getPostDateKey(b);
           break;
       }
       
@@ -234,6 +428,10 @@ export const selectIsPostFavorite = (postId) => createSelector(
   (favorites) => favorites.includes(postId)
 );
 
+export const selectCanUndoPosts = (state) => (state.posts?.history.past.length ?? 0) > 0;
+export const selectPostsUndoStep = (state) => getLatestStep(state.posts?.history);
+export const selectCanRedoPosts = (state) => (state.posts?.history.future.length ?? 0) > 0;
+
 export const selectFavoritePosts = createSelector(
   [selectPosts, selectFavorites],
   (posts, favorites) => posts.filter(post => favorites.includes(post.id))
@@ -333,13 +531,13 @@ export const selectMemoizedPosts = createSelector(
   (posts) => posts
 );
 
-// Selectors with parameters
+// Selectors with parameters; todo and post lookups go straight to the entity
 export const createSelectItemById = (itemType) => (id) => (state) => {
   switch (itemType) {
     case 'todo':
-      return state.todos.list.find(todo => todo.id === id);
+      return selectTodoById(state, id);
     case 'post':
-      return state.posts.posts.find(post => post.id === id);
+      return selectPostById(state, id);
     case 'user':
       return state.user.userData;
     default:
@@ -0,0 +1,32 @@
+import { nanoid } from '@reduxjs/toolkit';
+
+// Ids for items created on the client before the server has assigned one.
+// They are strings, so they can't clash with the server's numeric ids, and
+// are swapped for the server's id once the create succeeds.
+const TEMP_ID_PREFIX = 'temp-';
+
+// Pass a key to derive the same id every time (e.g. in a reducer)
+export const createTempId = (key = nanoid()) => `${TEMP_ID_PREFIX}${key}`;
+
+export const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+
+/**
+ * Re-keys an entity in adapter state from its temporary id to the server's,
+ * keeping its place in `ids`. Only temporary ids are replaced, so an entity
+ * that already has a server id is never re-keyed. The temporary id stays when
+ * the server's is already taken (jsonplaceholder answers every create with
+ * the same id). Returns whether the id changed.
+ */
+export const replaceEntityId = (state, tempId, serverId) => {
+  const entity = state.entities[tempId];
+  if (!entity || !isTempId(tempId) || serverId === undefined || serverId === null ||
+    isTempId(serverId) || state.entities[serverId]) {
+    return false;
+  }
+
+  entity.id = serverId;
+  delete state.entities[tempId];
+  state.entities[serverId] = entity;
+  state.ids[state.ids.indexOf(tempId)] = serverId;
+  return true;
+};
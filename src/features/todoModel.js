@@ -0,0 +1,150 @@
+import { createEntityAdapter } from '@reduxjs/toolkit';
+import { normalizeRecurrence } from './recurrence';
+import { isTempId } from './tempIds';
+
+// Shape and normalization of a todo, shared by the slice, its selectors and
+// the persisted-state migrations
+
+export const TODO_PRIORITIES = ['low', 'medium', 'high'];
+export const DEFAULT_PRIORITY = 'medium';
+
+export const TODO_VISIBILITY_FILTERS = ['all', 'active', 'completed'];
+// 'manual' is the user's drag-and-drop order (the todo's `order` field)
+export const TODO_SORT_KEYS = ['manual', 'created', 'title', 'completion'];
+
+// Fields updateTodo may change
+export const EDITABLE_TODO_FIELDS = ['title', 'description', 'dueDate', 'priority', 'tags', 'recurrence'];
+
+// Where a todo's last local change stands with the server: 'pending' while
+// the request is in flight, 'synced' once saved, 'failed' after a rollback.
+// Todos that were never sent have no syncStatus.
+export const TODO_SYNC_STATUSES = ['pending', 'synced', 'failed'];
+
+// Local calendar date as 'YYYY-MM-DD', the format of dueDate and <input type="date">
+export const toDateKey = (date = new Date()) => {
+  const value = new Date(date);
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+// Accepts an array or a comma-separated string; lowercased and deduped
+export const normalizeTags = (tags = []) => {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+export const normalizePriority = (priority) =>
+  TODO_PRIORITIES.includes(priority) ? priority : DEFAULT_PRIORITY;
+
+// Child checklist items: { id, title, completed }
+export const normalizeSubtasks = (subtasks = []) => subtasks
+  .map(subtask => ({
+    id: subtask.id,
+    title: String(subtask.title ?? '').trim(),
+    completed: Boolean(subtask.completed),
+  }))
+  .filter(subtask => subtask.id !== undefined && subtask.title);
+
+// "3/5 subtasks"; percentage is null for todos without subtasks
+export const getSubtaskProgress = (todo) => {
+  const subtasks = todo.subtasks || [];
+  const completed = subtasks.filter(subtask => subtask.completed).length;
+  return {
+    completed,
+    total: subtasks.length,
+    percentage: subtasks.length > 0 ? Math.round((completed / subtasks.length) * 100) : null,
+  };
+};
+
+// Fills in the fields todos from the API or older persisted state lack
+export const normalizeTodo = (todo) => ({
+  ...todo,
+  title: String(todo.title ?? '').trim(),
+  description: todo.description ?? '',
+  dueDate: todo.dueDate || null,
+  priority: normalizePriority(todo.priority),
+  tags: normalizeTags(todo.tags),
+  subtasks: normalizeSubtasks(todo.subtasks),
+  // Repeating todos; seriesId links the occurrences of one series
+  recurrence: normalizeRecurrence(todo.recurrence),
+  seriesId: todo.seriesId ?? null,
+  createdAt: todo.createdAt ?? null,
+  completedAt: todo.completed ? todo.completedAt ?? null : null,
+});
+
+// Cleans the editable fields present in `changes`, ignoring any others
+export const normalizeTodoChanges = (changes) => {
+  const normalized = {};
+  EDITABLE_TODO_FIELDS.forEach(field => {
+    if (!(field in changes)) return;
+
+    const value = changes[field];
+    switch (field) {
+      case 'title':
+        normalized.title = String(value).trim();
+        break;
+      case 'description':
+        normalized.description = String(value ?? '').trim();
+        break;
+      case 'dueDate':
+        normalized.dueDate = value || null;
+        break;
+      case 'priority':
+        normalized.priority = normalizePriority(value);
+        break;
+      case 'tags':
+        normalized.tags = normalizeTags(value);
+        break;
+      case 'recurrence':
+        normalized.recurrence = normalizeRecurrence(value);
+        break;
+      default:
+        break;
+    }
+  });
+  return normalized;
+};
+
+// Lowest order first; the list is kept in this order
+export const compareTodoOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+// Todos are stored as { ids, entities }, with ids kept in the manual order
+export const todosAdapter = createEntityAdapter({ sortComparer: compareTodoOrder });
+
+// Gives each todo its position in `list` as its order
+export const withTodoOrder = (list) => list.map((todo, index) =>
+  todo.order === index ? todo : { ...todo, order: index }
+);
+
+// Todos with local changes the server hasn't confirmed: never sent, still
+// pending or failed
+export const isUnsyncedTodo = (todo) => todo.syncStatus !== 'synced';
+
+/**
+ * Merges a page of fetched todos into the local list. Todos already in the
+ * list keep their position, and their local version while it is unsynced;
+ * new ones follow in server order. With `replace` (a refresh), synced todos
+ * the server didn't return are dropped, but unsynced ones always stay.
+ */
+export const mergeFetchedTodos = (localList, serverTodos, { replace = false } = {}) => {
+  const fetched = new Map(serverTodos.map(todo => [todo.id, todo]));
+  const kept = [...localList]
+    .sort(compareTodoOrder)
+    .filter(todo => !replace || fetched.has(todo.id) || isUnsyncedTodo(todo))
+    .map(todo => fetched.has(todo.id) && !isUnsyncedTodo(todo) ? fetched.get(todo.id) : todo);
+  const localIds = new Set(localList.map(todo => todo.id));
+  const added = [...fetched.values()].filter(todo => !localIds.has(todo.id));
+  return withTodoOrder([...kept, ...added]);
+};
+
+// Sync markers, and the occurrence a recurring todo's completion added
+const LOCAL_FIELDS = ['syncStatus', 'syncError', 'failedSync', 'nextOccurrenceId'];
+
+// The todo as sent to the API, without the local markers. A temporary id is
+// left out too; the server assigns the real one.
+export const toServerTodo = (todo) => Object.fromEntries(
+  Object.entries(todo).filter(([field, value]) =>
+    !LOCAL_FIELDS.includes(field) && !(field === 'id' && isTempId(value))
+  )
+);
@@ -1,45 +1,502 @@
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-
-// fetch a few todos from jsonplaceholder
-export const fetchTodos = createAsyncThunk('todos/fetchTodos', async (_, { rejectWithValue }) => {
-  try {
-    const res = await fetch('https://jsonplaceholder.typicode.com/todos?_limit=5');
-    if (!res.ok) throw new Error('Network response was not ok');
-    return await res.json();
-  } catch (error) {
-    return rejectWithValue(error.message);
+import { createSlice, createAsyncThunk, createNextState, isAnyOf, nanoid } from '@reduxjs/toolkit';
+import { createUndoable } from './undoable';
+import {
+  normalizeTodo,
+  normalizeTodoChanges,
+  TODO_VISIBILITY_FILTERS,
+  TODO_SORT_KEYS,
+  mergeFetchedTodos,
+  toDateKey,
+  todosAdapter,
+  isUnsyncedTodo,
+} from './todoModel';
+import { createNextOccurrence } from './recurrence';
+import { createTodoExport } from './todoTransfer';
+import { createTempId, replaceEntityId } from './tempIds';
+
+// Todos in manual order. Reducers use this on the draft; components should
+// use selectTodos.
+const listTodos = (state) => state.ids.map(id => state.entities[id]);
+
+// Builds { filename, mimeType, content } for the current list in 'json',
+// 'csv' or 'markdown'; pass it to downloadTodoExport to save it
+export const exportTodos = (format) => (dispatch, getState) =>
+  createTodoExport(listTodos(getState().todos), format);
+
+export const TODO_PAGE_SIZE = 5;
+
+// Fetches a page of todos from jsonplaceholder: { page = 1, limit, userId }.
+// Page 1 refreshes the list; later pages are appended (see loadMoreTodos).
+export const fetchTodos = createAsyncThunk(
+  'todos/fetchTodos',
+  async ({ page = 1, limit = TODO_PAGE_SIZE, userId = null } = {}, { rejectWithValue, extra }) => {
+    const params = new URLSearchParams({ _page: page, _limit: limit });
+    if (userId) params.append('userId', userId);
+
+    try {
+      const todos = await extra.http.get(`/todos?${params.toString()}`);
+      return { todos, page, limit, userId };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Fetches the page after the last one loaded, with the same limit and user
+export const loadMoreTodos = () => (dispatch, getState) => {
+  const { status, pagination } = getState().todos;
+  if (status === 'loading' || !pagination.hasMore) return undefined;
+
+  const { page, limit, userId } = pagination;
+  return dispatch(fetchTodos({ page: page + 1, limit, userId }));
+};
+
+// A todo with subtasks is complete exactly when all of them are. Returns
+// whether its completion changed.
+const deriveCompletion = (todo, timestamp) => {
+  const subtasks = todo.subtasks || [];
+  if (subtasks.length === 0) return false;
+
+  const completed = subtasks.every(subtask => subtask.completed);
+  if (completed === todo.completed) return false;
+
+  todo.completed = completed;
+  todo.completedAt = completed ? timestamp : null;
+  return true;
+};
+
+// Completing or reopening a todo does the same to its subtasks
+const setCompleted = (todo, completed, timestamp) => {
+  todo.completed = completed;
+  todo.completedAt = completed ? timestamp : null;
+  (todo.subtasks || []).forEach(subtask => {
+    subtask.completed = completed;
+  });
+};
+
+// Completing a recurring todo adds its next occurrence right below it, once
+// per series and due date. The todo remembers it in `nextOccurrenceId` and
+// doesn't add another while it has one.
+const scheduleNextOccurrence = (state, todo, timestamp) => {
+  if (!todo.recurrence || !todo.completed || todo.nextOccurrenceId) return;
+
+  const next = createNextOccurrence(todo, toDateKey(timestamp), timestamp);
+  const existing = listTodos(state).find(item =>
+    (item.seriesId ?? item.id) === next.seriesId && item.dueDate === next.dueDate
+  );
+  if (existing) {
+    todo.nextOccurrenceId = existing.id;
+    return;
+  }
+
+  const following = state.entities[state.ids[state.ids.indexOf(todo.id) + 1]];
+  const order = following ? (todo.order + following.order) / 2 : todo.order + 1;
+  todosAdapter.addOne(state, { ...next, order });
+  todo.nextOccurrenceId = next.id;
+};
+
+const OCCURRENCE_FIELDS = ['seriesId', 'title', 'description', 'priority', 'tags', 'subtasks', 'recurrence', 'dueDate', 'completed'];
+
+// Reopening a recurring todo takes back the occurrence its completion added
+// (`completedAt` is from before it was reopened), as long as nobody changed
+// it and the server hasn't confirmed it. One that stays keeps the todo from
+// adding another when it's completed again.
+const withdrawNextOccurrence = (state, todo, completedAt) => {
+  const occurrence = state.entities[todo.nextOccurrenceId];
+  if (!occurrence || !completedAt || !isUnsyncedTodo(occurrence)) return;
+
+  const generated = createNextOccurrence(todo, toDateKey(completedAt), occurrence.createdAt);
+  const untouched = OCCURRENCE_FIELDS.every(field =>
+    JSON.stringify(occurrence[field]) === JSON.stringify(generated[field])
+  );
+  if (!untouched) return;
+
+  todosAdapter.removeOne(state, occurrence.id);
+  todo.nextOccurrenceId = null;
+  pruneSelection(state);
+};
+
+// Follows a change to a todo's completion: completing adds its next
+// occurrence and reopening withdraws it. `completedAt` is from before the change.
+const followCompletion = (state, todo, completedAt, timestamp) => {
+  if (todo.completed) {
+    scheduleNextOccurrence(state, todo, timestamp);
+  } else {
+    withdrawNextOccurrence(state, todo, completedAt);
+  }
+};
+
+const findSubtask = (state, { id, subtaskId }) =>
+  state.entities[id]?.subtasks?.find(subtask => subtask.id === subtaskId);
+
+const initialSelection = {
+  ids: [],
+  // Last todo clicked without shift; ranges start here
+  anchorId: null,
+};
+
+// Drops todos that are gone from the selection
+const pruneSelection = (state) => {
+  state.selection.ids = state.selection.ids.filter(id => state.entities[id]);
+  if (!state.entities[state.selection.anchorId]) {
+    state.selection.anchorId = null;
   }
+};
+
+// Batch actions carry the ids they apply to, so another tab (with its own
+// selection) applies them to the same todos
+const getTodosById = (state, ids) =>
+  ids.map(id => state.entities[id]).filter(Boolean);
+
+const prepareBatch = (ids) => ({
+  payload: { ids, timestamp: new Date().toISOString() },
 });
 
+const initialPagination = {
+  page: 0, // last page loaded
+  limit: TODO_PAGE_SIZE,
+  userId: null,
+  // A full page came back last time, so there may be more
+  hasMore: true,
+};
+
+const initialFilters = {
+  visibility: 'all', // 'all', 'active', 'completed'
+  search: '',
+  sortBy: 'manual', // 'manual', 'created', 'title', 'completion'
+};
+
 const todoSlice = createSlice({
   name: 'todos',
-  initialState: { 
-    list: [], 
+  initialState: todosAdapter.getInitialState({
     status: 'idle', 
-    error: null 
-  },
+    error: null,
+    filters: initialFilters,
+    selection: initialSelection,
+    pagination: initialPagination,
+  }),
   reducers: {
-    addTodo: (state, action) => {
-      const newTodo = {
-        id: Date.now(),
-        title: action.payload,
-        completed: false,
-        userId: 1
-      };
-      state.list.unshift(newTodo);
+    // Takes a title, or { title, description, dueDate, priority, tags, recurrence }
+    addTodo: {
+      // New todos go to the top of the manual order
+      reducer: (state, action) => {
+        const first = state.entities[state.ids[0]];
+        const top = first ? first.order ?? 0 : 1;
+        todosAdapter.addOne(state, { ...action.payload, order: top - 1 });
+      },
+      prepare: (input) => {
+        const { title, description, dueDate, priority, tags, recurrence } =
+          typeof input === 'string' ? { title: input } : input;
+        const now = new Date();
+        return {
+          payload: normalizeTodo({
+            id: createTempId(),
+            title,
+            description,
+            dueDate,
+            priority,
+            tags,
+            recurrence,
+            completed: false,
+            userId: 1,
+            createdAt: now.toISOString(),
+          }),
+        };
+      },
+    },
+    // { id, changes } with any of title, description, dueDate, priority, tags
+    updateTodo: (state, action) => {
+      const { id, changes } = action.payload;
+      const todo = state.entities[id];
+      if (!todo) return;
+
+      const normalized = normalizeTodoChanges(changes);
+      // A todo always keeps a title
+      if (normalized.title === '') {
+        delete normalized.title;
+      }
+      Object.assign(todo, normalized);
+    },
+    // Appends the todos an import preview planned (see planTodoImport), as
+    // one undo step. Each gets a new temporary id, so an id from the file
+    // can't stand in for a server todo that isn't loaded.
+    importTodos: {
+      reducer: (state, action) => {
+        const last = state.entities[state.ids[state.ids.length - 1]];
+        const start = last ? (last.order ?? state.ids.length - 1) + 1 : 0;
+        todosAdapter.addMany(state, action.payload.map((todo, index) => ({
+          ...todo,
+          order: start + index,
+        })));
+      },
+      prepare: (todos) => {
+        const now = new Date();
+        return {
+          payload: todos.map(todo => normalizeTodo({
+            ...todo,
+            id: createTempId(),
+            userId: todo.userId ?? 1,
+            createdAt: todo.createdAt ?? now.toISOString(),
+          })),
+        };
+      },
+    },
+    // Moves the todo at fromIndex to toIndex in the list and renumbers order
+    reorderTodos: (state, action) => {
+      const { fromIndex, toIndex } = action.payload;
+      const { length } = state.ids;
+      if (fromIndex === toIndex || fromIndex < 0 || fromIndex >= length ||
+        toIndex < 0 || toIndex >= length) return;
+
+      const [moved] = state.ids.splice(fromIndex, 1);
+      state.ids.splice(toIndex, 0, moved);
+      state.ids.forEach((id, index) => {
+        state.entities[id].order = index;
+      });
     },
     deleteTodo: (state, action) => {
-      state.list = state.list.filter(todo => todo.id !== action.payload);
+      todosAdapter.removeOne(state, action.payload);
+      pruneSelection(state);
     },
-    toggleTodo: (state, action) => {
-      const todo = state.list.find(todo => todo.id === action.payload);
-      if (todo) {
-        todo.completed = !todo.completed;
+    // The timestamp is part of the payload so every tab records the same
+    // completedAt when the action is synced
+    toggleTodo: {
+      reducer: (state, action) => {
+        const { id, timestamp } = action.payload;
+        const todo = state.entities[id];
+        if (todo) {
+          const { completedAt } = todo;
+          setCompleted(todo, !todo.completed, timestamp);
+          followCompletion(state, todo, completedAt, timestamp);
+        }
+      },
+      prepare: (id) => ({
+        payload: { id, timestamp: new Date().toISOString() },
+      }),
+    },
+
+    // Subtasks. The parent's completion follows its subtasks.
+    // { id, title } where id is the parent todo's
+    addSubtask: {
+      reducer: (state, action) => {
+        const { id, subtask, timestamp } = action.payload;
+        const todo = state.entities[id];
+        if (!todo || !subtask.title) return;
+
+        const { completedAt } = todo;
+        todo.subtasks = [...(todo.subtasks || []), subtask];
+        if (deriveCompletion(todo, timestamp)) {
+          followCompletion(state, todo, completedAt, timestamp);
+        }
+      },
+      prepare: ({ id, title }) => ({
+        payload: {
+          id,
+          subtask: { id: nanoid(), title: String(title ?? '').trim(), completed: false },
+          timestamp: new Date().toISOString(),
+        },
+      }),
+    },
+    // { id, subtaskId }
+    toggleSubtask: {
+      reducer: (state, action) => {
+        const subtask = findSubtask(state, action.payload);
+        if (!subtask) return;
+
+        subtask.completed = !subtask.completed;
+        const todo = state.entities[action.payload.id];
+        const { completedAt } = todo;
+        if (deriveCompletion(todo, action.payload.timestamp)) {
+          followCompletion(state, todo, completedAt, action.payload.timestamp);
+        }
+      },
+      prepare: ({ id, subtaskId }) => ({
+        payload: { id, subtaskId, timestamp: new Date().toISOString() },
+      }),
+    },
+    // { id, subtaskId }
+    removeSubtask: {
+      reducer: (state, action) => {
+        const { id, subtaskId, timestamp } = action.payload;
+        const todo = state.entities[id];
+        if (!findSubtask(state, action.payload)) return;
+
+        const { completedAt } = todo;
+        todo.subtasks = todo.subtasks.filter(subtask => subtask.id !== subtaskId);
+        if (deriveCompletion(todo, timestamp)) {
+          followCompletion(state, todo, completedAt, timestamp);
+        }
+      },
+      prepare: ({ id, subtaskId }) => ({
+        payload: { id, subtaskId, timestamp: new Date().toISOString() },
+      }),
+    },
+    // Selection for bulk actions. Visible ids come from the caller, since
+    // what's visible depends on the filters (see selectVisibleTodos).
+    selectTodo: (state, action) => {
+      if (!state.selection.ids.includes(action.payload)) {
+        state.selection.ids.push(action.payload);
       }
+      state.selection.anchorId = action.payload;
     },
+    deselectTodo: (state, action) => {
+      state.selection.ids = state.selection.ids.filter(id => id !== action.payload);
+      state.selection.anchorId = action.payload;
+    },
+    // Visible ids, in display order
+    selectAllVisible: (state, action) => {
+      state.selection.ids = [...new Set([...state.selection.ids, ...action.payload])];
+    },
+    // { id, visibleIds }: selects from the anchor to id, like shift-click
+    selectRange: (state, action) => {
+      const { id, visibleIds } = action.payload;
+      const from = visibleIds.indexOf(state.selection.anchorId);
+      const to = visibleIds.indexOf(id);
+      if (from === -1 || to === -1) {
+        if (!state.selection.ids.includes(id)) {
+          state.selection.ids.push(id);
+        }
+        state.selection.anchorId = id;
+        return;
+      }
+
+      const range = visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+      state.selection.ids = [...new Set([...state.selection.ids, ...range])];
+    },
+    clearSelection: (state) => {
+      state.selection = initialSelection;
+    },
+
+    // Batch actions take the selected ids; each one is a single undo step
+    completeSelected: {
+      reducer: (state, action) => {
+        getTodosById(state, action.payload.ids).forEach(todo => {
+          if (todo.completed) return;
+          setCompleted(todo, true, action.payload.timestamp);
+          scheduleNextOccurrence(state, todo, action.payload.timestamp);
+        });
+      },
+      prepare: prepareBatch,
+    },
+    uncompleteSelected: {
+      reducer: (state, action) => {
+        getTodosById(state, action.payload.ids).forEach(todo => {
+          if (!todo.completed) return;
+          const { completedAt } = todo;
+          setCompleted(todo, false, null);
+          withdrawNextOccurrence(state, todo, completedAt);
+        });
+      },
+      prepare: prepareBatch,
+    },
+    deleteSelected: {
+      reducer: (state, action) => {
+        todosAdapter.removeMany(state, action.payload.ids);
+        pruneSelection(state);
+      },
+      prepare: prepareBatch,
+    },
+    clearCompleted: (state) => {
+      todosAdapter.removeMany(state, listTodos(state).filter(todo => todo.completed).map(todo => todo.id));
+      pruneSelection(state);
+    },
+
     clearError: (state) => {
       state.error = null;
-    }
+    },
+
+    // Server sync markers, dispatched by the todo sync listener (app/todoSync.js)
+    todoSyncStarted: (state, action) => {
+      const todo = state.entities[action.payload.id];
+      if (todo) {
+        todo.syncStatus = 'pending';
+        todo.syncError = null;
+      }
+    },
+    todoSyncSucceeded: (state, action) => {
+      const todo = state.entities[action.payload.id];
+      if (todo) {
+        todo.syncStatus = 'synced';
+        todo.syncError = null;
+        todo.failedSync = null;
+      }
+    },
+    // { id, serverId }: a created todo swaps its temporary id for the
+    // server's, in the selection and its recurring series too
+    todoIdAssigned: (state, action) => {
+      const { id, serverId } = action.payload;
+      if (!replaceEntityId(state, id, serverId)) return;
+
+      listTodos(state).forEach(todo => {
+        if (todo.seriesId === id) todo.seriesId = serverId;
+        if (todo.nextOccurrenceId === id) todo.nextOccurrenceId = serverId;
+      });
+      state.selection.ids = state.selection.ids.map(selectedId => selectedId === id ? serverId : selectedId);
+      if (state.selection.anchorId === id) {
+        state.selection.anchorId = serverId;
+      }
+    },
+    // { id, operation, error, previous, attempted }. Rolls back the
+    // optimistic change and keeps what retryTodoSync needs to send it again.
+    // New todos stay in the list so the user's input isn't lost.
+    todoSyncFailed: (state, action) => {
+      const { id, operation, error, previous, attempted } = action.payload;
+      const marker = {
+        syncStatus: 'failed',
+        syncError: error,
+        failedSync: operation === 'update' ? { operation, attempted } : { operation },
+      };
+
+      const todo = state.entities[id];
+      if (operation === 'delete') {
+        // Back in its place, by its order
+        if (!todo && previous) {
+          todosAdapter.addOne(state, { ...previous, ...marker });
+        }
+        return;
+      }
+      if (!todo) return;
+
+      if (operation === 'update' && previous) {
+        Object.assign(todo, previous);
+      }
+      Object.assign(todo, marker);
+    },
+    // Re-applies a failed change; the sync listener sends it again
+    retryTodoSync: (state, action) => {
+      const todo = state.entities[action.payload];
+      if (!todo?.failedSync) return;
+
+      const { operation, attempted } = todo.failedSync;
+      if (operation === 'delete') {
+        todosAdapter.removeOne(state, action.payload);
+        return;
+      }
+      if (operation === 'update') {
+        Object.assign(todo, attempted);
+      }
+      todo.syncStatus = 'pending';
+      todo.syncError = null;
+      todo.failedSync = null;
+    },
+    
+    // Filter actions
+    setVisibilityFilter: (state, action) => {
+      if (TODO_VISIBILITY_FILTERS.includes(action.payload)) {
+        state.filters.visibility = action.payload;
+      }
+    },
+    setSearchFilter: (state, action) => {
+      state.filters.search = action.payload;
+    },
+    setSortBy: (state, action) => {
+      if (TODO_SORT_KEYS.includes(action.payload)) {
+        state.filters.sortBy = action.payload;
+      }
+    },
+    clearFilters: (state) => {
+      state.filters = initialFilters;
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -48,8 +505,16 @@ const todoSlice = createSlice({
         state.error = null;
       })
       .addCase(fetchTodos.fulfilled, (state, action) => {
+        const { todos, page, limit, userId } = action.payload;
         state.status = 'succeeded';
-        state.list = action.payload;
+        state.pagination = { page, limit, userId, hasMore: todos.length >= limit };
+        // Both keep the user's manual order and unsynced local todos
+        todosAdapter.setAll(state, mergeFetchedTodos(
+          listTodos(state),
+          todos.map(todo => ({ ...normalizeTodo(todo), syncStatus: 'synced' })),
+          { replace: page === 1 }
+        ));
+        pruneSelection(state);
       })
       .addCase(fetchTodos.rejected, (state, action) => {
         state.status = 'failed';
@@ -58,5 +523,75 @@ const todoSlice = createSlice({
   },
 });
 
-export const { addTodo, deleteTodo, toggleTodo, clearError } = todoSlice.actions;
-export default todoSlice.reducer;
\ No newline at end of file
+export const {
+  addTodo,
+  updateTodo,
+  importTodos,
+  reorderTodos,
+  deleteTodo,
+  toggleTodo,
+  addSubtask,
+  toggleSubtask,
+  removeSubtask,
+  selectTodo,
+  deselectTodo,
+  selectAllVisible,
+  selectRange,
+  clearSelection,
+  completeSelected,
+  uncompleteSelected,
+  deleteSelected,
+  clearCompleted,
+  clearError,
+  todoSyncStarted,
+  todoSyncSucceeded,
+  todoIdAssigned,
+  todoSyncFailed,
+  retryTodoSync,
+  setVisibilityFilter,
+  setSearchFilter,
+  setSortBy,
+  clearFilters,
+} = todoSlice.actions;
+
+// Undo/redo for todo list edits
+const undoableTodos = createUndoable(todoSlice.reducer, {
+  name: 'todos',
+  keys: ['ids', 'entities'],
+  // Server ids replace temporary ones in past and future steps too, so
+  // undo can't bring a temporary id back
+  rewrite: [todoIdAssigned.type],
+  include: [
+    addTodo.type,
+    updateTodo.type,
+    importTodos.type,
+    reorderTodos.type,
+    deleteTodo.type,
+    toggleTodo.type,
+    addSubtask.type,
+    toggleSubtask.type,
+    removeSubtask.type,
+    completeSelected.type,
+    uncompleteSelected.type,
+    deleteSelected.type,
+    clearCompleted.type,
+  ],
+});
+
+export const {
+  undo: undoTodos,
+  redo: redoTodos,
+  clearHistory: clearTodosHistory,
+} = undoableTodos.actions;
+
+// The selection isn't part of the history, so todos that undo or redo
+// removed are dropped from it afterwards
+const isHistoryMove = isAnyOf(undoTodos, redoTodos);
+
+const todosReducer = (state, action) => {
+  const nextState = undoableTodos.reducer(state, action);
+  if (nextState === state || !isHistoryMove(action)) return nextState;
+  return createNextState(nextState, pruneSelection);
+};
+
+export default todosReducer;
@@ -0,0 +1,339 @@
+import { TODO_PRIORITIES, DEFAULT_PRIORITY, normalizeTodo, toDateKey, toServerTodo } from './todoModel';
+
+// Moving todo lists in and out of the app: JSON (lossless), CSV (one row per
+// todo) and GitHub-style Markdown checklists (subtasks as nested items).
+// Parsing validates each row; planTodoImport turns the rows into a preview
+// of what an import would add.
+
+export const TODO_TRANSFER_FORMATS = ['json', 'csv', 'markdown'];
+
+const FILE_TYPES = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+};
+
+const EXPORT_VERSION = 1;
+const CSV_COLUMNS = ['id', 'title', 'completed', 'description', 'dueDate', 'priority', 'tags', 'createdAt', 'completedAt'];
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Sync markers and the manual order are local and stay out of files
+const stripLocalFields = (todo) => Object.fromEntries(
+  Object.entries(toServerTodo(todo)).filter(([field]) => field !== 'order')
+);
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (todos) => [
+  CSV_COLUMNS.join(','),
+  ...todos.map(todo => CSV_COLUMNS
+    .map(column => escapeCsvValue(column === 'tags' ? (todo.tags || []).join(';') : todo[column]))
+    .join(',')),
+].join('\n');
+
+// Checklist items are single lines
+const toMarkdownText = (text) => text.replace(/\s+/g, ' ').trim();
+
+const toMarkdownItem = (todo) => {
+  const details = [
+    todo.dueDate && `due:${todo.dueDate}`,
+    todo.priority && todo.priority !== DEFAULT_PRIORITY && `!${todo.priority}`,
+    ...(todo.tags || []).map(tag => `#${tag}`),
+  ].filter(Boolean);
+  const line = `- [${todo.completed ? 'x' : ' '}] ${[toMarkdownText(todo.title), ...details].join(' ')}`;
+  const subtasks = (todo.subtasks || []).map(subtask =>
+    `  - [${subtask.completed ? 'x' : ' '}] ${toMarkdownText(subtask.title)}`
+  );
+  return [line, ...subtasks].join('\n');
+};
+
+const toMarkdown = (todos) => todos.map(toMarkdownItem).join('\n');
+
+export const serializeTodos = (todos, format, { now = new Date() } = {}) => {
+  const list = todos.map(stripLocalFields);
+  switch (format) {
+    case 'json':
+      return JSON.stringify({ version: EXPORT_VERSION, exportedAt: now.toISOString(), todos: list }, null, 2);
+    case 'csv':
+      return toCsv(list);
+    case 'markdown':
+      return toMarkdown(list);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+// { filename, mimeType, content } ready for downloadTodoExport
+export const createTodoExport = (todos, format, { now = new Date() } = {}) => ({
+  filename: `todos-${toDateKey(now)}.${FILE_TYPES[format].extension}`,
+  mimeType: FILE_TYPES[format].mimeType,
+  content: serializeTodos(todos, format, { now }),
+});
+
+export const downloadTodoExport = ({ filename, mimeType, content }) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// From the file extension when there is one, otherwise from the content
+export const detectTodoFormat = (text, filename = '') => {
+  const extension = filename.split('.').pop().toLowerCase();
+  const byExtension = Object.keys(FILE_TYPES).find(format => FILE_TYPES[format].extension === extension);
+  if (byExtension) return byExtension;
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+  if (/^\s*[-*] \[[ xX]\]/m.test(trimmed)) return 'markdown';
+  return 'csv';
+};
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and newlines.
+// Returns rows with the line each one starts on.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+  return rows.filter(({ values }) => values.some(value => value.trim() !== ''));
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['', 'false', '0', 'no', 'n'].includes(text)) return false;
+  if (['true', '1', 'yes', 'y', 'x'].includes(text)) return true;
+  return null;
+};
+
+const parseId = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  return /^\d+$/.test(String(value)) ? Number(value) : value;
+};
+
+// Checks one raw row and returns { todo } or { error }
+const validateRow = (raw) => {
+  const title = String(raw.title ?? '').trim();
+  if (!title) return { error: 'Title is required' };
+
+  const completed = parseBoolean(raw.completed);
+  if (completed === null) return { error: `"${raw.completed}" is not a valid completed value` };
+
+  const dueDate = raw.dueDate ? String(raw.dueDate).trim() : '';
+  if (dueDate && (!DATE_KEY_PATTERN.test(dueDate) || Number.isNaN(Date.parse(dueDate)))) {
+    return { error: `"${dueDate}" is not a valid due date (use YYYY-MM-DD)` };
+  }
+
+  const priority = raw.priority ? String(raw.priority).trim().toLowerCase() : DEFAULT_PRIORITY;
+  if (!TODO_PRIORITIES.includes(priority)) {
+    return { error: `Unknown priority "${raw.priority}"` };
+  }
+
+  return {
+    todo: normalizeTodo({
+      ...stripLocalFields(raw),
+      id: parseId(raw.id),
+      title,
+      completed,
+      dueDate: dueDate || null,
+      priority,
+      tags: typeof raw.tags === 'string' ? raw.tags.replace(/;/g, ',') : raw.tags,
+    }),
+  };
+};
+
+const parseJson = (text) => {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data?.todos;
+  if (!Array.isArray(items)) {
+    throw new Error('Expected an array of todos or { todos: [...] }');
+  }
+  return items.map((item, index) => ({
+    line: index + 1,
+    raw: item && typeof item === 'object' ? item : {},
+  }));
+};
+
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.values.map(name => name.trim());
+  const byLowerCase = new Map(CSV_COLUMNS.map(column => [column.toLowerCase(), column]));
+  const fields = columns.map(name => byLowerCase.get(name.toLowerCase()));
+  if (!fields.includes('title')) {
+    throw new Error('CSV needs a "title" column');
+  }
+
+  return rows.map(({ line, values }) => ({
+    line,
+    raw: fields.reduce((raw, field, index) => {
+      if (field) raw[field] = values[index];
+      return raw;
+    }, {}),
+  }));
+};
+
+const MARKDOWN_ITEM = /^(\s*)[-*] \[([ xX])\] (.*)$/;
+
+// "Title due:2025-01-31 !high #tag" -> fields
+const parseMarkdownText = (text) => {
+  const raw = { tags: [] };
+  const words = text.trim().split(/\s+/).filter(word => {
+    if (word.startsWith('due:')) {
+      raw.dueDate = word.slice(4);
+    } else if (word.startsWith('!') && word.length > 1) {
+      raw.priority = word.slice(1);
+    } else if (word.startsWith('#') && word.length > 1) {
+      raw.tags.push(word.slice(1));
+    } else {
+      return true;
+    }
+    return false;
+  });
+  raw.title = words.join(' ');
+  return raw;
+};
+
+// Top-level items are todos and indented items their subtasks; other lines
+// (headings, notes) are skipped
+const parseMarkdown = (text) => {
+  const rows = [];
+  text.split(/\r?\n/).forEach((content, index) => {
+    const match = content.match(MARKDOWN_ITEM);
+    if (!match) return;
+
+    const [, indent, mark, itemText] = match;
+    const completed = mark.toLowerCase() === 'x';
+    const parent = rows[rows.length - 1];
+
+    if (indent.length > 0 && parent) {
+      const title = itemText.trim();
+      if (title) {
+        parent.raw.subtasks.push({ id: `${parent.line}-${parent.raw.subtasks.length + 1}`, title, completed });
+      }
+      return;
+    }
+
+    rows.push({
+      line: index + 1,
+      raw: { ...parseMarkdownText(itemText), completed, subtasks: [] },
+    });
+  });
+  return rows;
+};
+
+const PARSERS = {
+  json: parseJson,
+  csv: parseCsv,
+  markdown: parseMarkdown,
+};
+
+/**
+ * Parses an export in `format` (see detectTodoFormat). Returns
+ * { todos: [{ line, todo }], errors: [{ line, message }] }; a file that can't
+ * be read at all gives a single error with line null.
+ */
+export const parseTodos = (text, format) => {
+  let rows;
+  try {
+    rows = PARSERS[format](text);
+  } catch (error) {
+    return { todos: [], errors: [{ line: null, message: error.message }] };
+  }
+
+  return rows.reduce((result, { line, raw }) => {
+    const { todo, error } = validateRow(raw);
+    if (error) {
+      result.errors.push({ line, message: error });
+    } else {
+      result.todos.push({ line, todo });
+    }
+    return result;
+  }, { todos: [], errors: [] });
+};
+
+// ============================================================================
+// MERGE PREVIEW
+// ============================================================================
+export const TODO_DEDUPE_KEYS = ['title', 'id'];
+
+const dedupeKey = (todo, dedupeBy) => dedupeBy === 'id'
+  ? (todo.id === undefined ? null : String(todo.id))
+  : todo.title.trim().toLowerCase();
+
+/**
+ * What importing `parsed` (from parseTodos) into `existing` would do.
+ * Rows matching an existing todo, or an earlier row, by title
+ * (case-insensitive) or id are skipped. The file's ids are only used for
+ * that: they may belong to server todos that aren't loaded yet, so the todos
+ * to add have none and importTodos gives them temporary ones.
+ */
+export const planTodoImport = (existing, parsed, { dedupeBy = 'title' } = {}) => {
+  const seen = new Set(existing.map(todo => dedupeKey(todo, dedupeBy)));
+  const toAdd = [];
+  const duplicates = [];
+
+  parsed.todos.forEach(({ line, todo }) => {
+    const key = dedupeKey(todo, dedupeBy);
+    if (key !== null && seen.has(key)) {
+      duplicates.push({ line, todo });
+      return;
+    }
+    if (key !== null) seen.add(key);
+
+    toAdd.push({ ...todo, id: undefined });
+  });
+
+  return { toAdd, duplicates, invalid: parsed.errors };
+};
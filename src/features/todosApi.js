@@ -0,0 +1,52 @@
+import { apiSlice } from './apiSlice';
+
+// Todo endpoints
+export const todosApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    getTodos: builder.query({
+      query: ({ userId, completed } = {}) => {
+        const params = new URLSearchParams();
+        if (userId) params.append('userId', userId);
+        if (completed !== undefined) params.append('completed', completed);
+        
+        return `/todos?${params.toString()}`;
+      },
+      providesTags: ['Todo'],
+    }),
+    getTodoById: builder.query({
+      query: (id) => `/todos/${id}`,
+      providesTags: (result, error, id) => [{ type: 'Todo', id }],
+    }),
+    createTodo: builder.mutation({
+      query: (todoData) => ({
+        url: '/todos',
+        method: 'POST',
+        body: todoData,
+      }),
+      invalidatesTags: ['Todo'],
+    }),
+    updateTodo: builder.mutation({
+      query: ({ id, ...todoData }) => ({
+        url: `/todos/${id}`,
+        method: 'PUT',
+        body: todoData,
+      }),
+      invalidatesTags: (result, error, { id }) => [{ type: 'Todo', id }],
+    }),
+    deleteTodo: builder.mutation({
+      query: (id) => ({
+        url: `/todos/${id}`,
+        method: 'DELETE',
+      }),
+      invalidatesTags: (result, error, id) => [{ type: 'Todo', id }],
+    }),
+  }),
+});
+
+export const {
+  useGetTodosQuery,
+  useGetTodoByIdQuery,
+  useCreateTodoMutation,
+  useUpdateTodoMutation,
+  useDeleteTodoMutation,
+} = todosApi;
@@ -30,6 +30,9 @@ const uiSlice = createSlice({
     sidebarOpen: false,
     activeTab: 'dashboard',
     
+    // Cross-tab leadership (only the leader tab should poll)
+    isLeaderTab: true,
+    
     // UI preferences
     preferences: {
       animations: true,
@@ -42,6 +45,7 @@ const uiSlice = createSlice({
     errors: {
       global: null,
       network: null,
+      auth: null,
       validation: null,
     },
     
@@ -52,12 +56,9 @@ const uiSlice = createSlice({
     // Theme actions
     setTheme: (state, action) => {
       state.theme = action.payload;
-      // Persist theme to localStorage
-      localStorage.setItem('theme', action.payload);
     },
     toggleTheme: (state) => {
       state.theme = state.theme === 'light' ? 'dark' : 'light';
-      localStorage.setItem('theme', state.theme);
     },
     
     // Modal actions
@@ -80,16 +81,29 @@ const uiSlice = createSlice({
     },
     
     // Notification actions
-    addNotification: (state, action) => {
-      const notification = {
-        id: Date.now() + Math.random(),
-        type: action.payload.type || 'info', // 'success', 'error', 'warning', 'info'
-        title: action.payload.title,
-        message: action.payload.message,
-        duration: action.payload.duration || 5000,
-        timestamp: new Date().toISOString(),
-      };
-      state.notifications.push(notification);
+    // id and timestamp are generated in prepare so the reducer stays
+    // deterministic when actions are replayed
+    addNotification: {
+      reducer: (state, action) => {
+        const notification = {
+          id: action.payload.id,
+          type: action.payload.type || 'info', // 'success', 'error', 'warning', 'info'
+          title: action.payload.title,
+          message: action.payload.message,
+          duration: action.payload.duration || 5000,
+          // Optional { label, action } rendered as a button that dispatches action
+          actionButton: action.payload.actionButton || null,
+          timestamp: action.payload.timestamp,
+        };
+        state.notifications.push(notification);
+      },
+      prepare: (notification) => ({
+        payload: {
+          id: Date.now() + Math.random(),
+          timestamp: new Date().toISOString(),
+          ...notification,
+        },
+      }),
     },
     removeNotification: (state, action) => {
       state.notifications = state.notifications.filter(
@@ -123,12 +137,13 @@ const uiSlice = createSlice({
     setActiveTab: (state, action) => {
       state.activeTab = action.payload;
     },
+    setLeaderTab: (state, action) => {
+      state.isLeaderTab = action.payload;
+    },
     
     // Preferences actions
     updatePreferences: (state, action) => {
       state.preferences = { ...state.preferences, ...action.payload };
-      // Persist preferences to localStorage
-      localStorage.setItem('uiPreferences', JSON.stringify(state.preferences));
     },
     resetPreferences: (state) => {
       state.preferences = {
@@ -137,7 +152,6 @@ const uiSlice = createSlice({
         compactMode: false,
         autoSave: true,
       };
-      localStorage.removeItem('uiPreferences');
     },
     
     // Error actions
@@ -153,18 +167,23 @@ const uiSlice = createSlice({
       state.errors = {
         global: null,
         network: null,
+        auth: null,
         validation: null,
       };
     },
     
     // Success message actions
-    addSuccessMessage: (state, action) => {
-      const message = {
-        id: Date.now() + Math.random(),
-        message: action.payload,
-        timestamp: new Date().toISOString(),
-      };
-      state.successMessages.push(message);
+    addSuccessMessage: {
+      reducer: (state, action) => {
+        state.successMessages.push(action.payload);
+      },
+      prepare: (message) => ({
+        payload: {
+          id: Date.now() + Math.random(),
+          message,
+          timestamp: new Date().toISOString(),
+        },
+      }),
     },
     removeSuccessMessage: (state, action) => {
       state.successMessages = state.successMessages.filter(
@@ -175,20 +194,14 @@ const uiSlice = createSlice({
       state.successMessages = [];
     },
     
-    // Initialize UI from localStorage
-    initializeUI: (state) => {
-      const savedTheme = localStorage.getItem('theme');
-      if (savedTheme) {
-        state.theme = savedTheme;
+    // Hydrate saved theme and preferences (loaded by the UI effects)
+    hydrateUI: (state, action) => {
+      const { theme, preferences } = action.payload || {};
+      if (theme) {
+        state.theme = theme;
       }
-      
-      const savedPreferences = localStorage.getItem('uiPreferences');
-      if (savedPreferences) {
-        try {
-          state.preferences = { ...state.preferences, ...JSON.parse(savedPreferences) };
-        } catch (error) {
-          console.error('Failed to parse saved UI preferences:', error);
-        }
+      if (preferences) {
+        state.preferences = { ...state.preferences, ...preferences };
       }
     },
   },
@@ -208,6 +221,7 @@ export const {
   toggleSidebar,
   setSidebarOpen,
   setActiveTab,
+  setLeaderTab,
   updatePreferences,
   resetPreferences,
   setError,
@@ -216,7 +230,7 @@ export const {
   addSuccessMessage,
   removeSuccessMessage,
   clearSuccessMessages,
-  initializeUI,
+  hydrateUI,
 } = uiSlice.actions;
 
 // Selectors
@@ -228,6 +242,7 @@ export const selectLoading = (state) => state.ui.loading;
 export const selectIsLoading = (key) => (state) => state.ui.loading[key];
 export const selectSidebarOpen = (state) => state.ui.sidebarOpen;
 export const selectActiveTab = (state) => state.ui.activeTab;
+export const selectIsLeaderTab = (state) => state.ui.isLeaderTab;
 export const selectPreferences = (state) => state.ui.preferences;
 export const selectErrors = (state) => state.ui.errors;
 export const selectError = (type) => (state) => state.ui.errors[type];
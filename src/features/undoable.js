@@ -0,0 +1,156 @@
+import { createAction } from '@reduxjs/toolkit';
+
+// Past and future entries are { step, state }: `state` is the snapshot and
+// `step` numbers the change it undoes, so redo keeps the same number
+const initialHistory = {
+  past: [],
+  future: [],
+  nextStep: 1,
+  lastType: null,
+  lastEntityId: null,
+  lastRecordedAt: 0,
+};
+
+// The id an action is about: the payload itself (e.g. deleteTodo(id)) or
+// payload.id (e.g. updateTodo({ id, changes }))
+const getPayloadId = (action) => {
+  const { payload } = action;
+  if (typeof payload === 'string' || typeof payload === 'number') return payload;
+  return payload?.id ?? null;
+};
+
+/**
+ * Wraps a slice reducer with a bounded undo/redo history.
+ *
+ * The slice keeps its shape; history lives under `state.history` and only the
+ * listed `keys` are snapshotted. Actions in `include` create undo steps, and
+ * repeats of the same action type for the same entity (see `entityId`) within
+ * `groupWindow` ms merge into one step. The time comes from
+ * `action.meta.timestamp`; actions without one are never merged.
+ * Actions in `rewrite` are applied to every snapshot as well, for changes
+ * that undo must keep. Other actions update the state without touching the
+ * history.
+ *
+ * `undo(step)` only undoes that step, and does nothing once later changes
+ * have been made on top of it (see `getLatestStep`). Plain `undo()` undoes
+ * whatever is latest; so do undos replayed from another tab, whose step
+ * numbers are its own.
+ */
+export const createUndoable = (reducer, options) => {
+  const {
+    name,
+    keys,
+    include = [],
+    rewrite = [],
+    limit = 50,
+    groupWindow = 500,
+    entityId = getPayloadId,
+  } = options;
+
+  const undo = createAction(`${name}/undo`, (step) => ({ payload: step === undefined ? undefined : { step } }));
+  const redo = createAction(`${name}/redo`);
+  const clearHistory = createAction(`${name}/clearHistory`);
+
+  const snapshot = (state) => keys.reduce((picked, key) => {
+    picked[key] = state[key];
+    return picked;
+  }, {});
+
+  const undoableReducer = (state, action) => {
+    if (state === undefined) {
+      return { ...reducer(undefined, action), history: initialHistory };
+    }
+
+    const { history, ...present } = state;
+
+    if (undo.match(action)) {
+      if (history.past.length === 0) return state;
+      const previous = history.past[history.past.length - 1];
+      const step = action.payload?.step;
+      if (step !== undefined && !action.meta?.remote && step !== previous.step) return state;
+      return {
+        ...present,
+        ...previous.state,
+        history: {
+          ...history,
+          past: history.past.slice(0, -1),
+          future: [{ step: previous.step, state: snapshot(present) }, ...history.future],
+          lastType: null,
+        },
+      };
+    }
+
+    if (redo.match(action)) {
+      if (history.future.length === 0) return state;
+      const [next, ...future] = history.future;
+      return {
+        ...present,
+        ...next.state,
+        history: {
+          ...history,
+          past: [...history.past, { step: next.step, state: snapshot(present) }],
+          future,
+          lastType: null,
+        },
+      };
+    }
+
+    if (clearHistory.match(action)) {
+      return { ...present, history: initialHistory };
+    }
+
+    const nextPresent = reducer(present, action);
+
+    if (rewrite.includes(action.type)) {
+      const rewriteStep = (entry) => ({
+        ...entry,
+        state: snapshot(reducer({ ...present, ...entry.state }, action)),
+      });
+      return {
+        ...nextPresent,
+        history: {
+          ...history,
+          past: history.past.map(rewriteStep),
+          future: history.future.map(rewriteStep),
+        },
+      };
+    }
+
+    if (nextPresent === present) return state;
+
+    if (!include.includes(action.type)) {
+      return { ...nextPresent, history };
+    }
+
+    const recordedAt = action.meta?.timestamp ?? null;
+    const id = entityId(action) ?? null;
+    const grouped = recordedAt !== null && id !== null &&
+      action.type === history.lastType &&
+      id === history.lastEntityId &&
+      recordedAt - history.lastRecordedAt < groupWindow;
+
+    return {
+      ...nextPresent,
+      history: {
+        past: grouped
+          ? history.past
+          : [...history.past, { step: history.nextStep, state: snapshot(present) }].slice(-limit),
+        future: [],
+        nextStep: grouped ? history.nextStep : history.nextStep + 1,
+        lastType: action.type,
+        lastEntityId: id,
+        lastRecordedAt: recordedAt ?? 0,
+      },
+    };
+  };
+
+  return {
+    reducer: undoableReducer,
+    actions: { undo, redo, clearHistory },
+  };
+};
+
+// The step an `undo()` would undo now, or null; pass it to `undo(step)` to
+// undo exactly that change later
+export const getLatestStep = (history) =>
+  history?.past[history.past.length - 1]?.step ?? null;
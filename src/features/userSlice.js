@@ -1,44 +1,91 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { openModal } from './uiSlice';
 
-// Mock user data - in a real app, this would come from an API
-const mockUsers = [
-  { id: 1, username: 'john_doe', email: 'john@example.com', name: 'John Doe', role: 'admin' },
-  { id: 2, username: 'jane_smith', email: 'jane@example.com', name: 'Jane Smith', role: 'user' },
-  { id: 3, username: 'bob_wilson', email: 'bob@example.com', name: 'Bob Wilson', role: 'user' },
-];
+// Tokens, with the time the access token stops working (null when the
+// provider doesn't say). `expiresIn` is in seconds, as in OAuth.
+const toSession = ({ token, refreshToken = null, expiresIn = null }, now) => ({
+  token,
+  refreshToken,
+  tokenExpiresAt: expiresIn === null ? null : new Date(now + expiresIn * 1000).toISOString(),
+});
 
-// Async thunk for login
-export const loginUser = createAsyncThunk(
+// Login request. Its argument is only { username }: createAsyncThunk copies
+// the argument into every lifecycle action's meta.arg, where the logger,
+// recorder and cross-tab sync would all see a password.
+const requestLogin = createAsyncThunk(
   'user/loginUser',
-  async ({ username, password }, { rejectWithValue }) => {
+  async ({ username }, { rejectWithValue, extra }) => {
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Mock authentication - in real app, validate credentials with API
-      const user = mockUsers.find(u => u.username === username);
-      
-      if (!user || password !== 'password') {
-        throw new Error('Invalid credentials');
-      }
-      
-      // Simulate token generation
-      const token = `mock_token_${user.id}_${Date.now()}`;
-      
-      return { user, token };
+      // The auth provider is configured when the store is created
+      const { user, ...tokens } = await extra.auth.login({ username, password: extra.credentials.password });
+      const now = extra.clock.now();
+      return { user, ...toSession(tokens, now), loginTime: new Date(now).toISOString() };
     } catch (error) {
       return rejectWithValue(error.message);
     }
   }
 );
 
+/**
+ * Logs in with { username, password }. The password goes to the auth provider
+ * alongside the thunk's services rather than through its argument, so it never
+ * appears in an action or in state. Has the usual thunk action creator
+ * members (pending, fulfilled, rejected, ...) and its result can be unwrapped.
+ */
+export const loginUser = Object.assign(
+  ({ username, password }) => (dispatch, getState, extra) =>
+    requestLogin({ username })(dispatch, getState, { ...extra, credentials: { password } }),
+  requestLogin
+);
+
+// The server turned the refresh token down, as opposed to not answering
+const isAuthFailure = (error) => error.status === 400 || error.status === 401;
+
+// Rejections have meta.authFailed set when the refresh token was refused;
+// otherwise the refresh may work when tried again
+const requestRefresh = createAsyncThunk(
+  'user/refreshSession',
+  async (_, { rejectWithValue, getState, extra }) => {
+    const { refreshToken } = getState().user;
+    if (!refreshToken) {
+      return rejectWithValue('No refresh token', { authFailed: true });
+    }
+
+    try {
+      const tokens = await extra.auth.refresh(refreshToken);
+      return toSession({ refreshToken, ...tokens }, extra.clock.now());
+    } catch (error) {
+      return rejectWithValue(error.message, { authFailed: isAuthFailure(error) });
+    }
+  }
+);
+
+// In-flight refreshes by store (keyed by its services)
+const pendingRefreshes = new WeakMap();
+
+/**
+ * Swaps the refresh token for a new access token. While a refresh is in
+ * flight further calls get the same promise, so requests that fail together
+ * refresh only once. Has the usual thunk action creator members.
+ */
+export const refreshSession = Object.assign(
+  () => (dispatch, getState, extra) => {
+    if (!pendingRefreshes.has(extra)) {
+      const refresh = requestRefresh()(dispatch, getState, extra);
+      pendingRefreshes.set(extra, refresh);
+      refresh.finally(() => pendingRefreshes.delete(extra));
+    }
+    return pendingRefreshes.get(extra);
+  },
+  requestRefresh
+);
+
 // Async thunk for logout
 export const logoutUser = createAsyncThunk(
   'user/logoutUser',
-  async (_, { rejectWithValue }) => {
+  async (_, { rejectWithValue, getState, extra }) => {
     try {
-      // Simulate API call to invalidate token
-      await new Promise(resolve => setTimeout(resolve, 500));
+      await extra.auth.logout(getState().user.token);
       return true;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -49,29 +96,35 @@ export const logoutUser = createAsyncThunk(
 // Async thunk for fetching user profile
 export const fetchUserProfile = createAsyncThunk(
   'user/fetchUserProfile',
-  async (_, { rejectWithValue, getState }) => {
+  async (_, { rejectWithValue, getState, extra }) => {
     try {
       const { user } = getState();
       if (!user.token) {
         throw new Error('No authentication token');
       }
       
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      // Return current user data (in real app, fetch from API)
-      return user.userData;
+      return await extra.auth.getProfile(user.token);
     } catch (error) {
       return rejectWithValue(error.message);
     }
   }
 );
 
+const clearSession = (state) => {
+  state.isAuthenticated = false;
+  state.userData = null;
+  state.token = null;
+  state.refreshToken = null;
+  state.tokenExpiresAt = null;
+};
+
 const userSlice = createSlice({
   name: 'user',
   initialState: {
     userData: null,
     token: null,
+    refreshToken: null,
+    tokenExpiresAt: null,
     isAuthenticated: false,
     isLoading: false,
     error: null,
@@ -90,12 +143,8 @@ const userSlice = createSlice({
     resetLoginAttempts: (state) => {
       state.loginAttempts = 0;
     },
-    // Action to simulate token expiration
-    expireToken: (state) => {
-      state.token = null;
-      state.isAuthenticated = false;
-      state.userData = null;
-    },
+    // Ends the session locally, e.g. when the server stops accepting it
+    expireToken: clearSession,
   },
   extraReducers: (builder) => {
     builder
@@ -109,27 +158,32 @@ const userSlice = createSlice({
         state.isAuthenticated = true;
         state.userData = action.payload.user;
         state.token = action.payload.token;
+        state.refreshToken = action.payload.refreshToken;
+        state.tokenExpiresAt = action.payload.tokenExpiresAt;
         state.error = null;
         state.loginAttempts = 0;
-        state.lastLoginTime = new Date().toISOString();
+        state.lastLoginTime = action.payload.loginTime;
       })
       .addCase(loginUser.rejected, (state, action) => {
         state.isLoading = false;
-        state.isAuthenticated = false;
-        state.userData = null;
-        state.token = null;
+        clearSession(state);
         state.error = action.payload;
         state.loginAttempts += 1;
       })
+      // Refreshes happen in the background and leave isLoading alone; a
+      // failed one is handled by whoever asked for it
+      .addCase(refreshSession.fulfilled, (state, action) => {
+        state.token = action.payload.token;
+        state.refreshToken = action.payload.refreshToken;
+        state.tokenExpiresAt = action.payload.tokenExpiresAt;
+      })
       // Logout cases
       .addCase(logoutUser.pending, (state) => {
         state.isLoading = true;
       })
       .addCase(logoutUser.fulfilled, (state) => {
         state.isLoading = false;
-        state.isAuthenticated = false;
-        state.userData = null;
-        state.token = null;
+        clearSession(state);
         state.error = null;
         state.loginAttempts = 0;
         state.lastLoginTime = null;
@@ -151,11 +205,10 @@ const userSlice = createSlice({
       .addCase(fetchUserProfile.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload;
-        // If profile fetch fails due to auth issues, logout user
-        if (action.payload.includes('token')) {
-          state.isAuthenticated = false;
-          state.userData = null;
-          state.token = null;
+        // If profile fetch fails due to auth issues, logout user. Aborted or
+        // unexpected failures have no payload.
+        if (action.payload?.includes?.('token')) {
+          clearSession(state);
         }
       });
   },
@@ -163,10 +216,17 @@ const userSlice = createSlice({
 
 export const { clearError, updateProfile, resetLoginAttempts, expireToken } = userSlice.actions;
 
+// Drops a session the server won't renew and asks the user to sign in again
+export const endExpiredSession = () => (dispatch) => {
+  dispatch(expireToken());
+  dispatch(openModal('loginModal'));
+};
+
 // Selectors
 export const selectUser = (state) => state.user.userData;
 export const selectIsAuthenticated = (state) => state.user.isAuthenticated;
 export const selectUserToken = (state) => state.user.token;
+export const selectTokenExpiresAt = (state) => state.user.tokenExpiresAt;
 export const selectUserLoading = (state) => state.user.isLoading;
 export const selectUserError = (state) => state.user.error;
 export const selectLoginAttempts = (state) => state.user.loginAttempts;
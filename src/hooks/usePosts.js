@@ -0,0 +1,86 @@
+import { useSelector, useDispatch } from 'react-redux';
+import { useCallback } from 'react';
+import {
+  fetchPosts,
+  fetchPostById,
+  createPost,
+  updatePost,
+  deletePost,
+  setSearchFilter,
+  setCategoryFilter,
+  clearFilters,
+  toggleFavorite,
+  saveDraft,
+  deleteDraft,
+  undoPosts,
+  redoPosts,
+  selectPosts,
+  selectCurrentPost,
+  selectPostsStatus,
+  selectPostsError,
+  selectPostsFilters,
+  selectPostsPagination,
+  selectDrafts,
+  selectFavorites,
+} from '../features/postsSlice';
+import { selectCanUndoPosts, selectCanRedoPosts } from '../features/selectors';
+
+// ============================================================================
+// POSTS HOOKS
+// ============================================================================
+
+// Importing this module injects the posts slice, so only use it from
+// components that are loaded lazily
+export const usePosts = () => {
+  const dispatch = useDispatch();
+  const posts = useSelector(selectPosts);
+  const currentPost = useSelector(selectCurrentPost);
+  const status = useSelector(selectPostsStatus);
+  const error = useSelector(selectPostsError);
+  const filters = useSelector(selectPostsFilters);
+  const pagination = useSelector(selectPostsPagination);
+  const drafts = useSelector(selectDrafts);
+  const favorites = useSelector(selectFavorites);
+  const canUndo = useSelector(selectCanUndoPosts);
+  const canRedo = useSelector(selectCanRedoPosts);
+  
+  const handleFetchPosts = useCallback(() => dispatch(fetchPosts()), [dispatch]);
+  const handleFetchPostById = useCallback((id) => dispatch(fetchPostById(id)), [dispatch]);
+  const handleCreatePost = useCallback((postData) => dispatch(createPost(postData)), [dispatch]);
+  const handleUpdatePost = useCallback((postId, updates) => dispatch(updatePost({ postId, updates })), [dispatch]);
+  const handleDeletePost = useCallback((id) => dispatch(deletePost(id)), [dispatch]);
+  const handleSetSearchFilter = useCallback((search) => dispatch(setSearchFilter(search)), [dispatch]);
+  const handleSetCategoryFilter = useCallback((category) => dispatch(setCategoryFilter(category)), [dispatch]);
+  const handleClearFilters = useCallback(() => dispatch(clearFilters()), [dispatch]);
+  const handleToggleFavorite = useCallback((id) => dispatch(toggleFavorite(id)), [dispatch]);
+  const handleSaveDraft = useCallback((draft) => dispatch(saveDraft(draft)), [dispatch]);
+  const handleDeleteDraft = useCallback((id) => dispatch(deleteDraft(id)), [dispatch]);
+  const handleUndo = useCallback(() => dispatch(undoPosts()), [dispatch]);
+  const handleRedo = useCallback(() => dispatch(redoPosts()), [dispatch]);
+  
+  return {
+    posts,
+    currentPost,
+    status,
+    error,
+    filters,
+    pagination,
+    drafts,
+    favorites,
+    canUndo,
+    canRedo,
+    fetchPosts: handleFetchPosts,
+    fetchPostById: handleFetchPostById,
+    createPost: handleCreatePost,
+    updatePost: handleUpdatePost,
+    deletePost: handleDeletePost,
+    setSearchFilter: handleSetSearchFilter,
+    setCategoryFilter: handleSetCategoryFilter,
+    clearFilters: handleClearFilters,
+    toggleFavorite: handleToggleFavorite,
+    saveDraft: handleSaveDraft,
+    deleteDraft: handleDeleteDraft,
+    undo: handleUndo,
+    redo: handleRedo,
+  };
+};
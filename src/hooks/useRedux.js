@@ -1,17 +1,47 @@
-import { useSelector, useDispatch } from 'react-redux';
-import { useCallback } from 'react';
+import { useSelector, useDispatch, useStore } from 'react-redux';
+import { useCallback, useEffect, useState } from 'react';
 import {
   // Counter actions
+  DEFAULT_COUNTER_ID,
+  incrementAsync,
+  addCounter,
+  removeCounter,
+  configureCounter,
   increment,
   decrement,
+  incrementByAmount,
   reset,
   
   // Todo actions
   addTodo,
+  updateTodo,
+  reorderTodos,
   deleteTodo,
   toggleTodo,
+  addSubtask,
+  toggleSubtask,
+  removeSubtask,
+  selectTodo,
+  deselectTodo,
+  selectAllVisibleTodos,
+  selectTodoRange,
+  clearTodoSelection,
+  completeSelected,
+  uncompleteSelected,
+  deleteSelected,
+  clearCompleted,
   clearTodoError,
+  setTodoVisibilityFilter,
+  setTodoSearchFilter,
+  setTodoSortBy,
+  clearTodoFilters,
+  retryTodoSync,
   fetchTodos,
+  loadMoreTodos,
+  exportTodos,
+  importTodos,
+  undoTodos,
+  redoTodos,
   
   // User actions
   loginUser,
@@ -32,38 +62,87 @@ import {
   updatePreferences,
   setUIError,
   clearUIError,
-  initializeUI,
-  
-  // Posts actions
-  fetchPosts,
-  fetchPostById,
-  createPost,
-  updatePost,
-  deletePost,
-  setSearchFilter,
-  setCategoryFilter,
-  clearPostsFilters,
-  toggleFavorite,
-  saveDraft,
-  deleteDraft,
+  
+  // Selectors
+  selectCounters,
+  selectCounter,
+  selectCounterIsEven,
+  selectCounterIsPositive,
+  selectCounterSparkline,
+  selectCounterLimits,
+  selectTodos,
+  selectHasMoreTodos,
+  selectCanUndoTodos,
+  selectCanRedoTodos,
+  selectOverdueTodos,
+  selectTodosDueToday,
+  selectTodoFilters,
+  selectVisibleTodos,
+  selectTodoFilterCounts,
+  selectTodoSyncCounts,
+  selectSubtaskCounts,
+  selectUpcomingOccurrences,
+  selectSelectedTodoIds,
+  selectSelectionSummary,
+  selectAreAllVisibleTodosSelected,
+  selectPosts,
+  selectDrafts,
 } from '../features';
+import { downloadRecording } from '../app/recorder';
+import { parseTodos, planTodoImport, detectTodoFormat, downloadTodoExport } from '../features/todoTransfer';
+import { selectPerfStats } from '../app/perfMonitor';
 
 // ============================================================================
 // COUNTER HOOKS
 // ============================================================================
-export const useCounter = () => {
+// One counter by id (the default counter when omitted)
+export const useCounter = (id = DEFAULT_COUNTER_ID) => {
   const dispatch = useDispatch();
-  const value = useSelector(state => state.counter.value);
+  const counter = useSelector(state => selectCounter(state, id));
+  const isEven = useSelector(state => selectCounterIsEven(state, id));
+  const isPositive = useSelector(state => selectCounterIsPositive(state, id));
+  const sparkline = useSelector(state => selectCounterSparkline(state, id));
+  const { canIncrement, canDecrement } = useSelector(state => selectCounterLimits(state, id));
   
-  const handleIncrement = useCallback(() => dispatch(increment()), [dispatch]);
-  const handleDecrement = useCallback(() => dispatch(decrement()), [dispatch]);
-  const handleReset = useCallback(() => dispatch(reset()), [dispatch]);
+  const handleIncrement = useCallback(() => dispatch(increment(id)), [dispatch, id]);
+  const handleDecrement = useCallback(() => dispatch(decrement(id)), [dispatch, id]);
+  const handleIncrementByAmount = useCallback((amount) => dispatch(incrementByAmount({ id, amount })), [dispatch, id]);
+  const handleIncrementAsync = useCallback((amount) => dispatch(incrementAsync({ id, amount })), [dispatch, id]);
+  const handleReset = useCallback(() => dispatch(reset(id)), [dispatch, id]);
+  // { name, step, min, max }; null or '' clears a bound
+  const handleConfigure = useCallback((changes) => dispatch(configureCounter({ ...changes, id })), [dispatch, id]);
+  const handleRemove = useCallback(() => dispatch(removeCounter(id)), [dispatch, id]);
   
   return {
-    value,
+    counter,
+    value: counter?.value ?? 0,
+    isEven,
+    isPositive,
+    sparkline,
+    canIncrement,
+    canDecrement,
+    isPending: (counter?.pending ?? 0) > 0,
     increment: handleIncrement,
     decrement: handleDecrement,
+    incrementByAmount: handleIncrementByAmount,
+    incrementAsync: handleIncrementAsync,
     reset: handleReset,
+    configure: handleConfigure,
+    remove: handleRemove,
+  };
+};
+
+// All counters, for listing them and adding new ones
+export const useCounters = () => {
+  const dispatch = useDispatch();
+  const counters = useSelector(selectCounters);
+  
+  // { name, step, min, max, value }
+  const handleAddCounter = useCallback((counter) => dispatch(addCounter(counter)), [dispatch]);
+  
+  return {
+    counters,
+    addCounter: handleAddCounter,
   };
 };
 
@@ -72,25 +151,126 @@ export const useCounter = () => {
 // ============================================================================
 export const useTodos = () => {
   const dispatch = useDispatch();
-  const todos = useSelector(state => state.todos.list);
+  const todos = useSelector(selectTodos);
   const status = useSelector(state => state.todos.status);
   const error = useSelector(state => state.todos.error);
+  const hasMore = useSelector(selectHasMoreTodos);
+  const canUndo = useSelector(selectCanUndoTodos);
+  const canRedo = useSelector(selectCanRedoTodos);
+  const overdueTodos = useSelector(selectOverdueTodos);
+  const todosDueToday = useSelector(selectTodosDueToday);
+  const upcomingOccurrences = useSelector(selectUpcomingOccurrences);
+  const filters = useSelector(selectTodoFilters);
+  const visibleTodos = useSelector(selectVisibleTodos);
+  const filterCounts = useSelector(selectTodoFilterCounts);
+  const syncCounts = useSelector(selectTodoSyncCounts);
+  const subtaskCounts = useSelector(selectSubtaskCounts);
+  const selectedIds = useSelector(selectSelectedTodoIds);
+  const selectionSummary = useSelector(selectSelectionSummary);
+  const allVisibleSelected = useSelector(selectAreAllVisibleTodosSelected);
   
-  const handleAddTodo = useCallback((title) => dispatch(addTodo(title)), [dispatch]);
+  // Takes a title or { title, description, dueDate, priority, tags }
+  const handleAddTodo = useCallback((todo) => dispatch(addTodo(todo)), [dispatch]);
+  const handleUpdateTodo = useCallback((id, changes) => dispatch(updateTodo({ id, changes })), [dispatch]);
+  const handleReorderTodos = useCallback((fromIndex, toIndex) => dispatch(reorderTodos({ fromIndex, toIndex })), [dispatch]);
+  // Moves a todo to where targetId is, e.g. onto a neighbour in a filtered view
+  const handleMoveTodo = useCallback((id, targetId) => {
+    const fromIndex = todos.findIndex(todo => todo.id === id);
+    const toIndex = todos.findIndex(todo => todo.id === targetId);
+    if (fromIndex !== -1 && toIndex !== -1) {
+      dispatch(reorderTodos({ fromIndex, toIndex }));
+    }
+  }, [dispatch, todos]);
   const handleDeleteTodo = useCallback((id) => dispatch(deleteTodo(id)), [dispatch]);
   const handleToggleTodo = useCallback((id) => dispatch(toggleTodo(id)), [dispatch]);
-  const handleFetchTodos = useCallback(() => dispatch(fetchTodos()), [dispatch]);
+  const handleAddSubtask = useCallback((id, title) => dispatch(addSubtask({ id, title })), [dispatch]);
+  const handleToggleSubtask = useCallback((id, subtaskId) => dispatch(toggleSubtask({ id, subtaskId })), [dispatch]);
+  const handleRemoveSubtask = useCallback((id, subtaskId) => dispatch(removeSubtask({ id, subtaskId })), [dispatch]);
+  // Shift-click (range) selects from the last clicked todo to this one
+  const handleToggleSelected = useCallback((id, range = false) => {
+    if (range) {
+      dispatch(selectTodoRange({ id, visibleIds: visibleTodos.map(todo => todo.id) }));
+    } else {
+      dispatch(selectedIds.includes(id) ? deselectTodo(id) : selectTodo(id));
+    }
+  }, [dispatch, visibleTodos, selectedIds]);
+  const handleSelectAllVisible = useCallback(
+    () => dispatch(selectAllVisibleTodos(visibleTodos.map(todo => todo.id))),
+    [dispatch, visibleTodos]
+  );
+  const handleClearSelection = useCallback(() => dispatch(clearTodoSelection()), [dispatch]);
+  const handleCompleteSelected = useCallback(() => dispatch(completeSelected(selectedIds)), [dispatch, selectedIds]);
+  const handleUncompleteSelected = useCallback(() => dispatch(uncompleteSelected(selectedIds)), [dispatch, selectedIds]);
+  const handleDeleteSelected = useCallback(() => dispatch(deleteSelected(selectedIds)), [dispatch, selectedIds]);
+  const handleClearCompleted = useCallback(() => dispatch(clearCompleted()), [dispatch]);
+  // Downloads the list as 'json', 'csv' or 'markdown'
+  const handleExportTodos = useCallback((format) => downloadTodoExport(dispatch(exportTodos(format))), [dispatch]);
+  // { toAdd, duplicates, invalid } for importing `text`; format defaults to
+  // one detected from the filename or content
+  const handlePreviewImport = useCallback((text, { format, filename, dedupeBy } = {}) => {
+    const parsed = parseTodos(text, format || detectTodoFormat(text, filename));
+    return planTodoImport(todos, parsed, { dedupeBy });
+  }, [todos]);
+  const handleImportTodos = useCallback((todosToAdd) => dispatch(importTodos(todosToAdd)), [dispatch]);
+  // { page, limit, userId }; page 1 (the default) refreshes the list
+  const handleFetchTodos = useCallback((params) => dispatch(fetchTodos(params)), [dispatch]);
+  const handleLoadMore = useCallback(() => dispatch(loadMoreTodos()), [dispatch]);
   const handleClearError = useCallback(() => dispatch(clearTodoError()), [dispatch]);
+  const handleUndo = useCallback(() => dispatch(undoTodos()), [dispatch]);
+  const handleRedo = useCallback(() => dispatch(redoTodos()), [dispatch]);
+  const handleSetVisibilityFilter = useCallback((visibility) => dispatch(setTodoVisibilityFilter(visibility)), [dispatch]);
+  const handleSetSearchFilter = useCallback((search) => dispatch(setTodoSearchFilter(search)), [dispatch]);
+  const handleSetSortBy = useCallback((sortBy) => dispatch(setTodoSortBy(sortBy)), [dispatch]);
+  const handleClearFilters = useCallback(() => dispatch(clearTodoFilters()), [dispatch]);
+  const handleRetrySync = useCallback((id) => dispatch(retryTodoSync(id)), [dispatch]);
   
   return {
     todos,
+    visibleTodos,
+    filters,
+    filterCounts,
+    syncCounts,
+    subtaskCounts,
+    selectedIds,
+    selectionSummary,
+    allVisibleSelected,
     status,
     error,
+    hasMore,
+    canUndo,
+    canRedo,
+    overdueTodos,
+    todosDueToday,
+    upcomingOccurrences,
     addTodo: handleAddTodo,
+    updateTodo: handleUpdateTodo,
+    reorderTodos: handleReorderTodos,
+    moveTodo: handleMoveTodo,
     deleteTodo: handleDeleteTodo,
     toggleTodo: handleToggleTodo,
+    addSubtask: handleAddSubtask,
+    toggleSubtask: handleToggleSubtask,
+    removeSubtask: handleRemoveSubtask,
+    toggleSelected: handleToggleSelected,
+    selectAllVisible: handleSelectAllVisible,
+    clearSelection: handleClearSelection,
+    completeSelected: handleCompleteSelected,
+    uncompleteSelected: handleUncompleteSelected,
+    deleteSelected: handleDeleteSelected,
+    clearCompleted: handleClearCompleted,
     fetchTodos: handleFetchTodos,
+    loadMore: handleLoadMore,
+    exportTodos: handleExportTodos,
+    previewImport: handlePreviewImport,
+    importTodos: handleImportTodos,
     clearError: handleClearError,
+    undo: handleUndo,
+    redo: handleRedo,
+    setVisibilityFilter: handleSetVisibilityFilter,
+    setSearchFilter: handleSetSearchFilter,
+    setSortBy: handleSetSortBy,
+    clearFilters: handleClearFilters,
+    retrySync: handleRetrySync,
   };
 };
 
@@ -151,7 +331,6 @@ export const useUI = () => {
   const handleUpdatePreferences = useCallback((prefs) => dispatch(updatePreferences(prefs)), [dispatch]);
   const handleSetError = useCallback((error) => dispatch(setUIError(error)), [dispatch]);
   const handleClearError = useCallback((type) => dispatch(clearUIError(type)), [dispatch]);
-  const handleInitializeUI = useCallback(() => dispatch(initializeUI()), [dispatch]);
   
   return {
     theme,
@@ -174,56 +353,22 @@ export const useUI = () => {
     updatePreferences: handleUpdatePreferences,
     setError: handleSetError,
     clearError: handleClearError,
-    initializeUI: handleInitializeUI,
   };
 };
 
 // ============================================================================
 // POSTS HOOKS
 // ============================================================================
-export const usePosts = () => {
-  const dispatch = useDispatch();
-  const posts = useSelector(state => state.posts.posts);
-  const currentPost = useSelector(state => state.posts.currentPost);
-  const status = useSelector(state => state.posts.status);
-  const error = useSelector(state => state.posts.error);
-  const filters = useSelector(state => state.posts.filters);
-  const pagination = useSelector(state => state.posts.pagination);
-  const drafts = useSelector(state => state.posts.drafts);
-  const favorites = useSelector(state => state.posts.favorites);
-  
-  const handleFetchPosts = useCallback(() => dispatch(fetchPosts()), [dispatch]);
-  const handleFetchPostById = useCallback((id) => dispatch(fetchPostById(id)), [dispatch]);
-  const handleCreatePost = useCallback((postData) => dispatch(createPost(postData)), [dispatch]);
-  const handleUpdatePost = useCallback((postId, updates) => dispatch(updatePost({ postId, updates })), [dispatch]);
-  const handleDeletePost = useCallback((id) => dispatch(deletePost(id)), [dispatch]);
-  const handleSetSearchFilter = useCallback((search) => dispatch(setSearchFilter(search)), [dispatch]);
-  const handleSetCategoryFilter = useCallback((category) => dispatch(setCategoryFilter(category)), [dispatch]);
-  const handleClearFilters = useCallback(() => dispatch(clearPostsFilters()), [dispatch]);
-  const handleToggleFavorite = useCallback((id) => dispatch(toggleFavorite(id)), [dispatch]);
-  const handleSaveDraft = useCallback((draft) => dispatch(saveDraft(draft)), [dispatch]);
-  const handleDeleteDraft = useCallback((id) => dispatch(deleteDraft(id)), [dispatch]);
-  
+
+// Counts for the dashboard. The full posts hook lives in ./usePosts so the
+// posts slice is only loaded with the posts section.
+export const usePostsSummary = () => {
+  const posts = useSelector(selectPosts);
+  const drafts = useSelector(selectDrafts);
+
   return {
-    posts,
-    currentPost,
-    status,
-    error,
-    filters,
-    pagination,
-    drafts,
-    favorites,
-    fetchPosts: handleFetchPosts,
-    fetchPostById: handleFetchPostById,
-    createPost: handleCreatePost,
-    updatePost: handleUpdatePost,
-    deletePost: handleDeletePost,
-    setSearchFilter: handleSetSearchFilter,
-    setCategoryFilter: handleSetCategoryFilter,
-    clearFilters: handleClearFilters,
-    toggleFavorite: handleToggleFavorite,
-    saveDraft: handleSaveDraft,
-    deleteDraft: handleDeleteDraft,
+    totalPosts: posts.length,
+    draftCount: drafts.length,
   };
 };
 
@@ -235,14 +380,12 @@ export const useApp = () => {
   const todos = useTodos();
   const user = useUser();
   const ui = useUI();
-  const posts = usePosts();
   
   return {
     counter,
     todos,
     user,
     ui,
-    posts,
   };
 };
 
@@ -289,17 +432,35 @@ export const useNotifications = () => {
     }));
   }, [dispatch]);
   
-  const removeNotification = useCallback((id) => {
+  // Notification with a button that dispatches `undoAction`
+  const showUndo = useCallback((message, undoAction, title = 'Done') => {
+    dispatch(addNotification({
+      type: 'info',
+      title,
+      message,
+      duration: 6000,
+      actionButton: { label: 'Undo', action: undoAction },
+    }));
+  }, [dispatch]);
+  
+  const handleRemoveNotification = useCallback((id) => {
     dispatch(removeNotification(id));
   }, [dispatch]);
   
+  const runNotificationAction = useCallback((notification) => {
+    dispatch(notification.actionButton.action);
+    dispatch(removeNotification(notification.id));
+  }, [dispatch]);
+  
   return {
     notifications,
     showSuccess,
     showError,
     showWarning,
     showInfo,
-    removeNotification,
+    showUndo,
+    removeNotification: handleRemoveNotification,
+    runNotificationAction,
   };
 };
 
@@ -336,3 +497,89 @@ export const useLoading = (key) => {
     setLoading,
   };
 };
+
+// ============================================================================
+// SESSION RECORDER HOOKS
+// ============================================================================
+export const useSessionRecorder = () => {
+  const store = useStore();
+  
+  const exportSession = useCallback(() => {
+    downloadRecording(store.recorder.getRecording());
+  }, [store]);
+  
+  return {
+    isAvailable: Boolean(store.recorder),
+    exportSession,
+  };
+};
+
+// ============================================================================
+// ANALYTICS HOOKS
+// ============================================================================
+
+// Consent is undefined until the user answers, then true or false
+export const useAnalyticsConsent = () => {
+  const store = useStore();
+  const dispatch = useDispatch();
+  const consent = useSelector(state => state.ui.preferences.analyticsConsent);
+  
+  const setConsent = useCallback((value) => dispatch(updatePreferences({ analyticsConsent: value })), [dispatch]);
+  const allow = useCallback(() => setConsent(true), [setConsent]);
+  const decline = useCallback(() => setConsent(false), [setConsent]);
+  
+  return {
+    isAvailable: Boolean(store.analytics),
+    consent: consent === true,
+    hasAnswered: typeof consent === 'boolean',
+    setConsent,
+    allow,
+    decline,
+  };
+};
+
+// ============================================================================
+// PERF HOOKS
+// ============================================================================
+
+// Overlay visibility, kept in ui.preferences so it survives reloads
+export const usePerfOverlay = () => {
+  const store = useStore();
+  const dispatch = useDispatch();
+  const isOpen = useSelector(state => Boolean(state.ui.preferences.perfOverlay));
+  
+  const setOpen = useCallback((open) => dispatch(updatePreferences({ perfOverlay: open })), [dispatch]);
+  const toggle = useCallback(() => setOpen(!isOpen), [setOpen, isOpen]);
+  const close = useCallback(() => setOpen(false), [setOpen]);
+  
+  return {
+    isAvailable: Boolean(store.perf),
+    isOpen: Boolean(store.perf) && isOpen,
+    toggle,
+    close,
+  };
+};
+
+// Polls the store's perf monitor; subscribing to it would re-render on every
+// dispatch and skew the numbers being measured
+export const usePerfStats = (refreshMs = 1000) => {
+  const store = useStore();
+  const [stats, setStats] = useState(() => selectPerfStats(store.perf));
+  
+  useEffect(() => {
+    if (!store.perf) return undefined;
+    const timer = setInterval(() => setStats(selectPerfStats(store.perf)), refreshMs);
+    return () => clearInterval(timer);
+  }, [store, refreshMs]);
+  
+  const reset = useCallback(() => {
+    store.perf?.reset();
+    setStats(selectPerfStats(store.perf));
+  }, [store]);
+  
+  return {
+    isAvailable: Boolean(store.perf),
+    stats,
+    reset,
+  };
+};
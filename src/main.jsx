@@ -1,14 +1,40 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { Provider } from 'react-redux';
-import { store } from './app/store';
+import { makeStore } from './app/store';
+import { injectLazySlices } from './app/rootReducer';
 import App from './App';
 import './index.css';
 
-ReactDOM.createRoot(document.getElementById('root')).render(
+// Rendered state from the SSR server (server.js); absent under plain `vite`
+const serverState = window.__PRELOADED_STATE__;
+delete window.__PRELOADED_STATE__;
+
+await injectLazySlices(serverState);
+
+const store = makeStore({ preloadedState: serverState });
+
+// Don't lose the last throttled write or analytics batch when the tab closes
+if (store.persistor) {
+  window.addEventListener('pagehide', store.persistor.flush);
+}
+if (store.analytics) {
+  window.addEventListener('pagehide', store.analytics.flush);
+}
+
+// Persisted client state (theme, session, todos) is applied on top of the
+// server state, so hydration renders from serverState and then updates
+const app = (
   <React.StrictMode>
-    <Provider store={store}>
+    <Provider store={store} serverState={serverState}>
       <App />
     </Provider>
   </React.StrictMode>
 );
+
+const container = document.getElementById('root');
+if (serverState) {
+  ReactDOM.hydrateRoot(container, app);
+} else {
+  ReactDOM.createRoot(container).render(app);
+}
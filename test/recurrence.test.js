@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeRecurrence,
+  getNextOccurrence,
+  getOccurrences,
+  createNextOccurrence,
+} from '../src/features/recurrence.js';
+
+test('normalizeRecurrence drops invalid rules and cleans the rest', () => {
+  assert.equal(normalizeRecurrence(null), null);
+  assert.equal(normalizeRecurrence({ frequency: 'yearly' }), null);
+  assert.deepEqual(normalizeRecurrence({ frequency: 'weekly', weekdays: [3, '1', 9, 3] }), {
+    frequency: 'weekly',
+    weekdays: [1, 3],
+  });
+  assert.deepEqual(normalizeRecurrence({ frequency: 'monthly', dayOfMonth: 40 }), { frequency: 'monthly' });
+  assert.deepEqual(normalizeRecurrence({ frequency: 'interval', interval: 0 }), { frequency: 'interval', interval: 1 });
+});
+
+test('getNextOccurrence follows each frequency', () => {
+  assert.equal(getNextOccurrence({ frequency: 'daily' }, '2026-12-31'), '2027-01-01');
+  assert.equal(getNextOccurrence({ frequency: 'interval', interval: 3 }, '2026-10-19'), '2026-10-22');
+  // 2026-10-19 is a Monday; next Wednesday or Friday
+  assert.equal(getNextOccurrence({ frequency: 'weekly', weekdays: [3, 5] }, '2026-10-19'), '2026-10-21');
+  assert.equal(getNextOccurrence({ frequency: 'monthly', dayOfMonth: 31 }, '2026-02-01'), '2026-02-28');
+});
+
+test('getOccurrences keeps a monthly rule on its anchor day', () => {
+  assert.deepEqual(getOccurrences({ frequency: 'monthly' }, '2026-01-31', { limit: 4 }), [
+    '2026-02-28',
+    '2026-03-31',
+    '2026-04-30',
+    '2026-05-31',
+  ]);
+});
+
+test('getOccurrences stops past `until`', () => {
+  assert.deepEqual(getOccurrences({ frequency: 'daily' }, '2026-10-19', { limit: Infinity, until: '2026-10-21' }), [
+    '2026-10-20',
+    '2026-10-21',
+  ]);
+});
+
+test('createNextOccurrence skips dates already past on completion', () => {
+  const todo = {
+    id: 7,
+    title: 'Water plants',
+    recurrence: { frequency: 'daily' },
+    dueDate: '2026-10-10',
+    subtasks: [{ id: 's1', title: 'Balcony', completed: true }],
+  };
+  const next = createNextOccurrence(todo, '2026-10-19', 'now');
+
+  assert.equal(next.dueDate, '2026-10-20');
+  assert.equal(next.seriesId, 7);
+  assert.equal(next.id, 'temp-7@2026-10-20');
+  assert.equal(next.completed, false);
+  assert.deepEqual(next.subtasks, [{ id: 's1', title: 'Balcony', completed: false }]);
+});
+
+test('createNextOccurrence anchors the rule to the series', () => {
+  const todo = { id: 1, title: 'Rent', recurrence: { frequency: 'monthly' }, dueDate: '2026-01-31' };
+  const february = createNextOccurrence(todo, '2026-01-31', 'now');
+  const march = createNextOccurrence(february, '2026-02-28', 'now');
+
+  assert.equal(february.dueDate, '2026-02-28');
+  assert.equal(march.dueDate, '2026-03-31');
+  assert.equal(march.seriesId, 1);
+});
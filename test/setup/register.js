@@ -0,0 +1,5 @@
+// Loaded with `node --import` before the tests. The app's imports leave out
+// the `.js` extension, which Vite resolves but plain Node does not.
+import { register } from 'node:module';
+
+register('./resolve.js', import.meta.url);
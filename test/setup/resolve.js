@@ -0,0 +1,9 @@
+// Module resolve hook: a relative import that isn't found is retried with `.js`
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !/^\.{1,2}\//.test(specifier)) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+};
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeFetchedTodos } from '../src/features/todoModel.js';
+
+const todo = (id, fields = {}) => ({ id, title: `Todo ${id}`, syncStatus: 'synced', ...fields });
+
+test('mergeFetchedTodos updates synced todos in place and appends new ones', () => {
+  const local = [todo(2, { order: 0 }), todo(1, { order: 1 })];
+  const merged = mergeFetchedTodos(local, [todo(1, { title: 'From server' }), todo(3)]);
+
+  assert.deepEqual(merged.map(item => [item.id, item.order]), [[2, 0], [1, 1], [3, 2]]);
+  assert.equal(merged[1].title, 'From server');
+});
+
+test('mergeFetchedTodos keeps the local version of unsynced todos', () => {
+  const local = [todo(1, { title: 'Edited', syncStatus: 'pending', order: 0 })];
+  const merged = mergeFetchedTodos(local, [todo(1, { title: 'Old' })]);
+
+  assert.equal(merged[0].title, 'Edited');
+});
+
+test('mergeFetchedTodos with replace drops synced todos the server no longer has', () => {
+  const local = [
+    todo(1, { order: 0 }),
+    todo(2, { order: 1 }),
+    todo('temp-a', { syncStatus: 'pending', order: 2 }),
+    todo(4, { syncStatus: 'failed', order: 3 }),
+  ];
+  const merged = mergeFetchedTodos(local, [todo(2)], { replace: true });
+
+  assert.deepEqual(merged.map(item => item.id), [2, 'temp-a', 4]);
+});
@@ -0,0 +1,129 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureStore, createListenerMiddleware } from '@reduxjs/toolkit';
+import { rootReducer } from '../src/app/rootReducer.js';
+import { apiSlice } from '../src/features/apiSlice.js';
+import { registerTodoSync } from '../src/app/todoSync.js';
+import { isTempId } from '../src/features/tempIds.js';
+import {
+  addTodo,
+  deleteSelected,
+  fetchTodos,
+  selectTodo,
+  selectAllVisible,
+  undoTodos,
+  redoTodos,
+} from '../src/features/todoSlice.js';
+
+// Undo and redo reach the server through the same diff as other edits; these
+// run them against a fake API that hands out ids from 201
+
+let requests;
+let nextServerId;
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+  requests = [];
+  nextServerId = 201;
+  globalThis.fetch = async (request) => {
+    const { pathname } = new URL(request.url);
+    requests.push(`${request.method} ${pathname}`);
+    const body = request.method === 'POST' ? { id: nextServerId++ } : {};
+    return new Response(JSON.stringify(body), {
+      status: request.method === 'POST' ? 201 : 200,
+      headers: { 'content-type': 'application/json' },
+    });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const createStore = () => {
+  const listenerMiddleware = createListenerMiddleware();
+  registerTodoSync(listenerMiddleware.startListening);
+  return configureStore({
+    reducer: rootReducer,
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware()
+      .prepend(listenerMiddleware.middleware)
+      .concat(apiSlice.middleware),
+  });
+};
+
+// Lets the requests and the sync listener's follow-up actions run
+const settle = async (store) => {
+  for (let turn = 0; turn < 50; turn += 1) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const todos = Object.values(store.getState().todos.entities);
+    if (todos.every(todo => todo.syncStatus !== 'pending')) return;
+  }
+  throw new Error('Todo sync did not settle');
+};
+
+const allHistoryIds = (todos) => [
+  ...todos.ids,
+  ...todos.history.past.flatMap(entry => entry.state.ids),
+  ...todos.history.future.flatMap(entry => entry.state.ids),
+];
+
+const loadTodos = (store, todos) => store.dispatch(fetchTodos.fulfilled(
+  { todos, page: 1, limit: 10, userId: null },
+  'request',
+  { page: 1 },
+));
+
+test('undoing an add after its server id arrived deletes it by that id', async () => {
+  const store = createStore();
+  store.dispatch(addTodo('Write tests'));
+  store.dispatch(selectTodo(store.getState().todos.ids[0]));
+  await settle(store);
+
+  assert.deepEqual(requests, ['POST /todos']);
+  assert.deepEqual(store.getState().todos.ids, [201]);
+  assert.deepEqual(store.getState().todos.selection.ids, [201]);
+  // The step recorded before the id arrived was rewritten too
+  assert.ok(allHistoryIds(store.getState().todos).every(id => !isTempId(id)));
+
+  store.dispatch(undoTodos());
+  await settle(store);
+
+  assert.deepEqual(store.getState().todos.ids, []);
+  assert.deepEqual(requests, ['POST /todos', 'DELETE /todos/201']);
+  assert.deepEqual(store.getState().todos.selection.ids, []);
+
+  store.dispatch(redoTodos());
+  await settle(store);
+
+  const todos = store.getState().todos;
+  assert.deepEqual(todos.ids, [201]);
+  assert.equal(todos.entities[201].syncStatus, 'synced');
+  assert.deepEqual(requests, ['POST /todos', 'DELETE /todos/201', 'POST /todos']);
+});
+
+test('undoing a bulk delete creates the todos again', async () => {
+  const store = createStore();
+  loadTodos(store, [
+    { id: 1, title: 'One', completed: false, userId: 1 },
+    { id: 2, title: 'Two', completed: true, userId: 1 },
+    { id: 3, title: 'Three', completed: false, userId: 1 },
+  ]);
+
+  store.dispatch(selectAllVisible([1, 2]));
+  store.dispatch(deleteSelected(store.getState().todos.selection.ids));
+  await settle(store);
+
+  assert.deepEqual(store.getState().todos.ids, [3]);
+  assert.deepEqual(store.getState().todos.selection.ids, []);
+  assert.deepEqual([...requests].sort(), ['DELETE /todos/1', 'DELETE /todos/2']);
+
+  requests = [];
+  store.dispatch(undoTodos());
+  await settle(store);
+
+  const todos = store.getState().todos;
+  assert.deepEqual(todos.ids, [1, 2, 3]);
+  assert.deepEqual(requests, ['POST /todos', 'POST /todos']);
+  assert.ok([1, 2].every(id => todos.entities[id].syncStatus === 'synced'));
+  assert.equal(todos.entities[2].completed, true);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTodos, planTodoImport, serializeTodos, detectTodoFormat } from '../src/features/todoTransfer.js';
+
+test('detectTodoFormat goes by extension, then content', () => {
+  assert.equal(detectTodoFormat('', 'list.md'), 'markdown');
+  assert.equal(detectTodoFormat('[{"title":"a"}]'), 'json');
+  assert.equal(detectTodoFormat('- [ ] a'), 'markdown');
+  assert.equal(detectTodoFormat('title\na'), 'csv');
+});
+
+test('parseTodos reports invalid rows with their line', () => {
+  const csv = 'title,completed,dueDate\nShip it,yes,2026-10-20\nBad date,no,20/10/2026\n,no,';
+  const { todos, errors } = parseTodos(csv, 'csv');
+
+  assert.equal(todos.length, 1);
+  assert.equal(todos[0].line, 2);
+  assert.equal(todos[0].todo.completed, true);
+  assert.equal(todos[0].todo.dueDate, '2026-10-20');
+  assert.deepEqual(errors.map(error => error.line), [3, 4]);
+});
+
+test('parseTodos reads Markdown checklists with subtasks and details', () => {
+  const markdown = '# Week\n- [x] Plan trip due:2026-11-01 !high #travel\n  - [ ] Book hotel\n- [ ] Call mom';
+  const { todos, errors } = parseTodos(markdown, 'markdown');
+
+  assert.deepEqual(errors, []);
+  assert.equal(todos[0].todo.title, 'Plan trip');
+  assert.equal(todos[0].todo.priority, 'high');
+  assert.deepEqual(todos[0].todo.tags, ['travel']);
+  assert.equal(todos[0].todo.subtasks[0].title, 'Book hotel');
+  assert.equal(todos[1].todo.completed, false);
+});
+
+test('parseTodos turns unreadable files into a single error', () => {
+  const { todos, errors } = parseTodos('{ not json', 'json');
+
+  assert.deepEqual(todos, []);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].line, null);
+});
+
+test('JSON exports parse back to the same todos', () => {
+  const original = [{
+    id: 3,
+    title: 'Round trip',
+    completed: false,
+    description: 'Keeps every field',
+    dueDate: '2026-10-20',
+    priority: 'low',
+    tags: ['a', 'b'],
+    syncStatus: 'synced',
+  }];
+  const { todos } = parseTodos(serializeTodos(original, 'json'), 'json');
+
+  assert.equal(todos[0].todo.title, 'Round trip');
+  assert.deepEqual(todos[0].todo.tags, ['a', 'b']);
+  assert.equal(todos[0].todo.syncStatus, undefined);
+});
+
+test('planTodoImport skips duplicates by title or id', () => {
+  const parsed = parseTodos(JSON.stringify([
+    { id: 1, title: 'Existing' },
+    { id: 2, title: 'New' },
+    { id: 3, title: 'new' },
+  ]), 'json');
+
+  const byTitle = planTodoImport([{ id: 9, title: 'existing' }], parsed);
+  assert.deepEqual(byTitle.toAdd.map(item => item.title), ['New']);
+  assert.deepEqual(byTitle.duplicates.map(item => item.line), [1, 3]);
+
+  const byId = planTodoImport([{ id: 2, title: 'Other' }], parsed, { dedupeBy: 'id' });
+  assert.deepEqual(byId.toAdd.map(item => item.title), ['Existing', 'new']);
+});
+
+test('planTodoImport never keeps the ids from the file', () => {
+  const parsed = parseTodos(JSON.stringify([{ id: 42, title: 'Maybe on the server' }]), 'json');
+  const { toAdd } = planTodoImport([], parsed);
+
+  assert.equal(toAdd[0].id, undefined);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSlice } from '@reduxjs/toolkit';
+import { createUndoable, getLatestStep } from '../src/features/undoable.js';
+
+const slice = createSlice({
+  name: 'notes',
+  initialState: { entities: {}, draft: '' },
+  reducers: {
+    setNote: (state, action) => {
+      state.entities[action.payload.id] = action.payload.text;
+    },
+    setDraft: (state, action) => {
+      state.draft = action.payload;
+    },
+  },
+});
+const { setNote, setDraft } = slice.actions;
+
+const { reducer, actions } = createUndoable(slice.reducer, {
+  name: 'notes',
+  keys: ['entities'],
+  include: [setNote.type],
+});
+const { undo, redo } = actions;
+
+// Actions as the timestamp middleware leaves them
+const at = (action, timestamp) => ({ ...action, meta: { timestamp } });
+
+const run = (...actions) => actions.reduce(reducer, reducer(undefined, { type: 'init' }));
+
+test('repeats on the same entity within the window are one step', () => {
+  const state = run(
+    at(setNote({ id: 'a', text: 'H' }), 1000),
+    at(setNote({ id: 'a', text: 'Hi' }), 1200),
+  );
+
+  assert.equal(state.history.past.length, 1);
+  assert.deepEqual(reducer(state, undo()).entities, {});
+});
+
+test('different entities are separate steps even within the window', () => {
+  const state = run(
+    at(setNote({ id: 'a', text: 'A' }), 1000),
+    at(setNote({ id: 'b', text: 'B' }), 1100),
+  );
+
+  assert.equal(state.history.past.length, 2);
+  assert.deepEqual(reducer(state, undo()).entities, { a: 'A' });
+});
+
+test('repeats after the window, or without a timestamp, are separate steps', () => {
+  assert.equal(run(
+    at(setNote({ id: 'a', text: 'A' }), 1000),
+    at(setNote({ id: 'a', text: 'AA' }), 1600),
+  ).history.past.length, 2);
+
+  assert.equal(run(
+    setNote({ id: 'a', text: 'A' }),
+    setNote({ id: 'a', text: 'AA' }),
+  ).history.past.length, 2);
+});
+
+test('actions outside `include` and keys outside `keys` are left alone', () => {
+  const state = run(at(setNote({ id: 'a', text: 'A' }), 1000), setDraft('typing'));
+  const undone = reducer(state, undo());
+
+  assert.equal(state.history.past.length, 1);
+  assert.deepEqual(undone.entities, {});
+  assert.equal(undone.draft, 'typing');
+});
+
+test('redo brings the step back and a new change clears the future', () => {
+  const state = reducer(run(at(setNote({ id: 'a', text: 'A' }), 1000)), undo());
+
+  assert.deepEqual(reducer(state, redo()).entities, { a: 'A' });
+  assert.equal(reducer(state, at(setNote({ id: 'b', text: 'B' }), 2000)).history.future.length, 0);
+});
+
+test('undo(step) does nothing once another step was recorded on top', () => {
+  const deleted = run(at(setNote({ id: 'a', text: 'A' }), 1000));
+  const step = getLatestStep(deleted.history);
+  const edited = reducer(deleted, at(setNote({ id: 'b', text: 'B' }), 2000));
+
+  assert.equal(reducer(edited, undo(step)), edited);
+
+  const undoneEdit = reducer(edited, undo());
+  assert.deepEqual(reducer(undoneEdit, undo(step)).entities, {});
+});
+
+test('undo(step) from another tab undoes the latest step', () => {
+  const state = run(at(setNote({ id: 'a', text: 'A' }), 1000));
+  const remote = { ...undo(99), meta: { remote: true } };
+
+  assert.deepEqual(reducer(state, remote).entities, {});
+});